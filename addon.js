@@ -1,6 +1,19 @@
 const { addonBuilder } = require('stremio-addon-sdk');
 const EasynewsSearcher = require('./easynews-searcher');
 const TMDBHandler = require('./tmdb-handler');
+const { MetadataError, LocalMetadataProvider, MetadataProviderChain } = require('./metadata-providers');
+const KitsuHandler = require('./kitsu-handler');
+const { filterByRelevance, STRICTNESS_LEVELS } = require('./title-matcher');
+const { normalizeLanguagePreferences, isExcludedByLanguage, formatLanguages } = require('./languages');
+const { normalizeRanking, rankResults, DEFAULT_RANKING } = require('./ranking');
+const { PRESETS, renderTemplate, normalizeLabelTemplates } = require('./label-templates');
+const { generateTitleVariants, runWithConcurrency, DEFAULT_CONCURRENCY } = require('./query-planner');
+const { normalizeSearchFilters, getFilterConfigEntries } = require('./search-filters');
+const { getGenreOptions, matchesGenre } = require('./catalog-filters');
+const { encodePlayToken, hashCredentials } = require('./config-token');
+const { getPosterPath } = require('./poster');
+const { createCache } = require('./cache');
+const crypto = require('crypto');
 const winston = require('winston');
 
 // Logger configuration
@@ -27,6 +40,8 @@ const manifest = {
     
     resources: [
         "catalog",
+        // Only this addon's own ids; shows from its catalogs get a videos list marking
+        // the episodes on Easynews, IMDb ids are left to Cinemeta
         {
             name: "meta",
             types: ["movie", "series"],
@@ -35,7 +50,7 @@ const manifest = {
         {
             name: "stream",
             types: ["movie", "series"],
-            idPrefixes: ["tt", "tmdb", "easynews"]
+            idPrefixes: ["tt", "tmdb", "kitsu", "easynews"]
         }
     ],
 
@@ -44,13 +59,32 @@ const manifest = {
             type: 'movie',
             id: 'easynews-movie-catalog',
             name: 'Easynews Movies',
-            extra: [{ name: 'search', isRequired: true }]
+            extra: [{ name: 'search', isRequired: true }, { name: 'skip' }, { name: 'genre', options: getGenreOptions('movie') }]
         },
         {
             type: 'series',
             id: 'easynews-series-catalog',
             name: 'Easynews Series',
-            extra: [{ name: 'search', isRequired: true }]
+            extra: [{ name: 'search', isRequired: true }, { name: 'skip' }, { name: 'genre', options: getGenreOptions('series') }]
+        },
+        // Browse catalogs, shown on the Board and in Discover, see BROWSE_CATALOGS
+        {
+            type: 'movie',
+            id: 'easynews-recent-movies',
+            name: 'Recently posted movies',
+            extra: [{ name: 'skip' }, { name: 'genre', options: getGenreOptions('movie') }]
+        },
+        {
+            type: 'series',
+            id: 'easynews-recent-episodes',
+            name: 'Recently posted episodes',
+            extra: [{ name: 'skip' }, { name: 'genre', options: getGenreOptions('series') }]
+        },
+        {
+            type: 'movie',
+            id: 'easynews-new-4k-hdr',
+            name: 'New in 4K/HDR',
+            extra: [{ name: 'skip' }, { name: 'genre', options: getGenreOptions('movie') }]
         }
     ],
 
@@ -73,200 +107,373 @@ const manifest = {
             type: 'password',
             title: 'Easynews Password',
             required: true
-        }
+        },
+        {
+            key: 'backend',
+            type: 'select',
+            title: 'Search Backend',
+            options: ['rss', 'json'],
+            default: 'rss'
+        },
+        {
+            key: 'pageSize',
+            type: 'number',
+            title: 'Results per page (10-1000)',
+            default: '100'
+        },
+        {
+            key: 'maxPages',
+            type: 'number',
+            title: 'Maximum pages per search (1-20)',
+            default: '5'
+        },
+        {
+            key: 'tmdbApiKey',
+            type: 'text',
+            title: 'TMDB API key or read access token (optional)'
+        },
+        {
+            key: 'matchStrictness',
+            type: 'select',
+            title: 'Title matching',
+            options: ['off', 'lenient', 'strict'],
+            default: 'lenient'
+        },
+        {
+            key: 'ranking',
+            type: 'text',
+            title: 'Stream ranking (e.g. match, resolution, size:desc=2, age:asc)',
+            default: DEFAULT_RANKING
+        },
+        {
+            key: 'preferredGroups',
+            type: 'text',
+            title: 'Preferred release groups, best first (comma separated)'
+        },
+        {
+            key: 'labelPreset',
+            type: 'select',
+            title: 'Stream labels',
+            options: Object.keys(PRESETS),
+            default: 'default'
+        },
+        {
+            key: 'nameTemplate',
+            type: 'text',
+            title: 'Custom stream name template (e.g. {quality} {hdr})'
+        },
+        {
+            key: 'descriptionTemplate',
+            type: 'text',
+            title: 'Custom stream description template'
+        },
+        {
+            key: 'preferredAudioLanguages',
+            type: 'text',
+            title: 'Preferred audio languages (ISO codes, e.g. en, fr)'
+        },
+        {
+            key: 'excludedAudioLanguages',
+            type: 'text',
+            title: 'Excluded audio languages (ISO codes)'
+        },
+        {
+            key: 'preferredSubtitleLanguages',
+            type: 'text',
+            title: 'Preferred subtitle languages (ISO codes)'
+        },
+        {
+            key: 'excludedSubtitleLanguages',
+            type: 'text',
+            title: 'Excluded hardcoded subtitle languages (ISO codes)'
+        },
+        ...getFilterConfigEntries()
     ]
 };
 
-function generatePoster(content) {
-    const getBackgroundColor = (quality) => {
-        switch(quality) {
-            case '4K': return '#2c3e50';
-            case '1080p': return '#34495e';
-            case '720p': return '#2c3e50';
-            case '480p': return '#7f8c8d';
-            default: return '#95a5a6';
-        }
-    };
-
-    const bestQuality = Array.from(content.qualities).sort((a, b) => {
-        const order = { '4K': 4, '1080p': 3, '720p': 2, '480p': 1, 'SD': 0 };
-        return (order[b] || 0) - (order[a] || 0);
-    })[0];
+function padNumber(number) {
+    return number.toString().padStart(2, '0');
+}
 
-    const backgroundColor = getBackgroundColor(bestQuality);
-    
-    let titleLines = [];
-    let words = content.title.split(' ');
-    let currentLine = '';
-    
-    words.forEach(word => {
-        if ((currentLine + ' ' + word).length > 15) {
-            titleLines.push(currentLine);
-            currentLine = word;
-        } else {
-            currentLine = currentLine ? currentLine + ' ' + word : word;
-        }
-    });
-    if (currentLine) {
-        titleLines.push(currentLine);
+// "S01E02", "S01E01-E03" for multi-episode files, the air date of daily shows,
+// or "E123" for anime released with absolute numbering
+function formatEpisodeTag({ season, episode, episodes, airDate, absoluteEpisode }) {
+    if (airDate) {
+        return airDate;
     }
-
-    if (titleLines.length > 3) {
-        titleLines = titleLines.slice(0, 3);
-        titleLines[2] += '...';
+    if (season === null && absoluteEpisode) {
+        return `E${padNumber(absoluteEpisode)}`;
     }
+    // Season packs
+    if (episode === null) {
+        return `S${padNumber(season)}`;
+    }
+    const tag = `S${padNumber(season)}E${padNumber(episode)}`;
+    return episodes && episodes.length > 1 ? `${tag}-E${padNumber(episodes[episodes.length - 1])}` : tag;
+}
+
+// Episodes, and season packs, which have a season but no episode
+function isSeriesResult(result) {
+    return result.season !== null ||
+        Boolean(result.release?.airDate) ||
+        Boolean(result.release?.absoluteEpisode);
+}
+
+// "45m", "5h", "3d", "2mo", "1y" since the file was posted
+function formatAge(postDate) {
+    const posted = postDate ? new Date(postDate).getTime() : NaN;
+    if (isNaN(posted)) return '';
+    const minutes = Math.max(0, (Date.now() - posted) / 60000);
+    if (minutes < 60) return `${Math.round(minutes)}m`;
+    if (minutes < 24 * 60) return `${Math.round(minutes / 60)}h`;
+    if (minutes < 30 * 24 * 60) return `${Math.round(minutes / (24 * 60))}d`;
+    if (minutes < 365 * 24 * 60) return `${Math.round(minutes / (30 * 24 * 60))}mo`;
+    return `${Math.round(minutes / (365 * 24 * 60))}y`;
+}
+
+// Values for the label template placeholders, see label-templates.js
+function getLabelFields(result) {
+    const release = result.release || {};
+    const languages = result.languages || { audio: [], subtitles: [] };
+    const audio = [release.audioCodec, release.audioChannels, release.atmos ? 'Atmos' : null].filter(Boolean).join(' ');
+    const hasSeason = result.season !== null && result.season !== undefined;
+
+    return {
+        title: result.title,
+        year: result.year,
+        episode: hasSeason || release.airDate || release.absoluteEpisode ? formatEpisodeTag({ ...result, ...release }) : '',
+        quality: result.quality,
+        emoji: result.qualityEmoji,
+        resolution: release.resolution,
+        source: release.source,
+        codec: release.videoCodec,
+        hdr: (release.hdr || []).join(' '),
+        audio,
+        languages: formatLanguages(result.languages),
+        languageCodes: languages.audio.map(code => code.toUpperCase()).join(' '),
+        subtitles: languages.subtitles.map(code => code.toUpperCase()).join(' '),
+        size: result.fileSize,
+        group: release.group,
+        age: formatAge(result.postDate),
+        edition: release.edition,
+        tags: [release.proper ? 'PROPER' : null, release.repack ? 'REPACK' : null].filter(Boolean).join(' '),
+        filename: result.filename,
+        score: result.ranking ? result.ranking.score : ''
+    };
+}
 
-    return `
-        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 300 450">
-            <rect width="100%" height="100%" fill="${backgroundColor}"/>
-            <circle cx="150" cy="100" r="50" fill="#e74c3c"/>
-            <text x="150" y="100" font-family="Arial" font-size="24" fill="white" text-anchor="middle" dominant-baseline="middle">${bestQuality}</text>
-            ${titleLines.map((line, i) => 
-                `<text x="150" y="${220 + i * 30}" font-family="Arial" font-size="24" fill="white" text-anchor="middle">${line}</text>`
-            ).join('')}
-            <text x="150" y="350" font-family="Arial" font-size="20" fill="white" text-anchor="middle">
-                ${content.type === 'series' 
-                    ? `S${content.season.toString().padStart(2, '0')}E${content.episode.toString().padStart(2, '0')}`
-                    : content.year || ''}
-            </text>
-            <text x="150" y="400" font-family="Arial" font-size="16" fill="white" text-anchor="middle">
-                ${content.streams.length} sources
-            </text>
-            <text x="150" y="430" font-family="Arial" font-size="14" fill="white" text-anchor="middle">
-                ${Array.from(content.qualities).join(', ')}
-            </text>
-        </svg>
-    `.trim();
-}
-
-function createStream(result) {
+function createStream(result, context) {
+    const fields = getLabelFields(result);
+    const description = renderTemplate(context.labels.description, fields);
     return {
-        name: `${result.quality} ${result.qualityEmoji} [${result.fileSize}]`,
-        title: result.filename,
-        url: result.linkUrl,
+        name: renderTemplate(context.labels.name, fields),
+        // `title` is what older Stremio versions show
+        title: description,
+        description,
+        // Played through the server's proxy, which adds the Easynews credentials
+        url: `${context.baseUrl}/${context.configToken}/play/${encodePlayToken({ url: result.linkUrl, filename: result.filename })}`,
         behaviorHints: {
-            notWebReady: true,
             bingeGroup: `easynews-${result.quality}`,
-            proxyHeaders: {
-                request: {
-                    "User-Agent": "Stremio",
-                    "Authorization": `Basic ${Buffer.from(`${easynewsUsername}:${easynewsPassword}`).toString('base64')}`
-                }
-            }
-        }
+            filename: result.filename
+        },
+        // Not used by Stremio, shows why a stream is where it is
+        ranking: result.ranking
     };
 }
 
-function sortStreams(streams) {
-    return streams.sort((a, b) => {
-        const qualityOrder = { '4K': 5, '1080p': 4, '720p': 3, '480p': 2, 'SD': 1 };
-        const qualityA = a.name.match(/(4K|1080p|720p|480p|SD)/i)?.[1]?.toUpperCase() || 'SD';
-        const qualityB = b.name.match(/(4K|1080p|720p|480p|SD)/i)?.[1]?.toUpperCase() || 'SD';
-        return (qualityOrder[qualityB] || 0) - (qualityOrder[qualityA] || 0);
-    });
+function filterByLanguage(results, languagePreferences) {
+    const allowed = results.filter(result => !isExcludedByLanguage(result.languages, languagePreferences));
+    if (allowed.length < results.length) {
+        logger.info(`Dropped ${results.length - allowed.length} results in excluded languages`);
+    }
+    return allowed;
 }
 
-let easynewsSearcher;
-let tmdbHandler;
-let easynewsUsername;
-let easynewsPassword;
-
-const searchCache = new Map();
 const CACHE_TIMEOUT = 30 * 60 * 1000; // 30 minutes
 
-const builder = new addonBuilder(manifest);
+// Shared by every configuration. Search results are read and written through a
+// scope per Easynews account and search settings, see getCacheScope.
+const searchCache = createCache('search', {
+    ttl: CACHE_TIMEOUT,
+    maxEntries: 2000,
+    maxBytes: (parseInt(process.env.CACHE_MAX_MB) || 64) * 1024 * 1024,
+    persistent: true
+});
+// Entries set their own TTL, see tmdb-handler.js
+const tmdbCache = createCache('tmdb', {
+    maxEntries: 5000,
+    maxBytes: 32 * 1024 * 1024,
+    persistent: true
+});
+
+// Every handler receives the context of the configuration it was built for:
+// { username, password, baseUrl, configToken, searcher, metadataProvider,
+//   metadataSource, kitsuHandler, matchStrictness, languagePreferences, ranking,
+//   labels, searchCache }.
+// Nothing about a user lives at module level.
+async function handleCatalog(context, args) {
+    if (BROWSE_CATALOGS[args.id]) {
+        return handleBrowseCatalog(context, args);
+    }
+    return handleSearchCatalog(context, args);
+}
 
-builder.defineCatalogHandler(async ({ type, id, extra }) => {
+async function handleSearchCatalog(context, { type, id, extra }) {
     const { search } = extra;
     if (!search) {
         logger.info('No search query provided');
         return { metas: [] };
     }
 
-    logger.info(`Searching Easynews catalog for: ${search}`);
+    logger.info(`Searching Easynews catalog for: ${search}${extra.genre ? ` (${extra.genre})` : ''}`);
 
     try {
-        const results = await easynewsSearcher.search(search);
+        const results = await searchWithReport(context, search);
         if (!results || results.length === 0) {
             return { metas: [] };
         }
 
-        const groupedContent = new Map();
+        const groupedContent = groupResults(results, type, (result, isSeries) =>
+            getGroupKey(result, isSeries).replace(/\.[^/.]+$/, ""));
 
-        results.forEach(result => {
-            const isSeries = result.season !== null && result.episode !== null;
-            
-            if ((type === 'movie' && isSeries) || (type === 'series' && !isSeries)) {
-                return;
-            }
+        const skip = clampNumber(extra.skip, 0, Number.MAX_SAFE_INTEGER, 0);
+        let metas;
+        if (extra.genre) {
+            // Genres come from the title matches, so every group is resolved before paging
+            metas = await resolveCatalogMetas(context, groupedContent, extra.genre);
+            metas = sortByYear(metas, meta => meta.releaseInfo).slice(skip, skip + CATALOG_PAGE_SIZE);
+        } else {
+            // Without a filter only the titles on the requested page are matched
+            const groups = sortByYear(Array.from(groupedContent.entries()), ([, content]) => content.year);
+            metas = await resolveCatalogMetas(context, new Map(groups.slice(skip, skip + CATALOG_PAGE_SIZE)), null);
+        }
 
-            let key;
-            if (isSeries) {
-                key = `${result.title} S${result.season.toString().padStart(2, '0')}E${result.episode.toString().padStart(2, '0')}`;
-            } else {
-                key = result.year ? `${result.title} (${result.year})` : result.title;
-            }
+        return { 
+            metas,
+            cacheMaxAge: 3600,
+            staleRevalidate: 1800,
+            staleError: 7200
+        };
+    } catch (error) {
+        logger.error(`Error in catalog handler: ${error.message}`);
+        return { metas: [] };
+    }
+}
 
-            key = key.replace(/\.[^/.]+$/, "");
-
-            if (!groupedContent.has(key)) {
-                groupedContent.set(key, {
-                    title: result.title,
-                    year: result.year,
-                    season: result.season,
-                    episode: result.episode,
-                    type: isSeries ? 'series' : 'movie',
-                    streams: [],
-                    qualities: new Set()
-                });
-            }
+// Newest first; items without a year go last
+function sortByYear(items, getYear) {
+    return items.sort((a, b) => (parseInt(getYear(b)) || 0) - (parseInt(getYear(a)) || 0));
+}
 
-            const content = groupedContent.get(key);
-            content.streams.push(result);
-            content.qualities.add(result.quality);
-        });
+// Movies group by title and year, episodes by show
+function getGroupKey(result, isSeries) {
+    return !isSeries && result.year ? `${result.title} (${result.year})` : result.title;
+}
+
+// Groups results of the catalog's type under getKey(result, isSeries), in the
+// order the groups first appear
+function groupResults(results, type, getKey) {
+    const groupedContent = new Map();
 
-        // Cache results
-        for (const [key, value] of groupedContent.entries()) {
-            const cacheKey = `easynews:${encodeURIComponent(key)}`;
-            searchCache.set(cacheKey, {
-                streams: value.streams,
-                timestamp: Date.now()
+    results.forEach(result => {
+        const isSeries = isSeriesResult(result);
+        
+        if ((type === 'movie' && isSeries) || (type === 'series' && !isSeries)) {
+            return;
+        }
+
+        const key = getKey(result, isSeries);
+        if (!groupedContent.has(key)) {
+            groupedContent.set(key, {
+                title: result.title,
+                year: result.year,
+                season: result.season,
+                episode: result.episode,
+                episodes: result.release.episodes,
+                airDate: result.release.airDate,
+                absoluteEpisode: result.release.absoluteEpisode,
+                type: isSeries ? 'series' : 'movie',
+                streams: [],
+                qualities: new Set()
             });
         }
 
-        const metas = Array.from(groupedContent.entries()).map(([key, content]) => {
-            const posterSvg = generatePoster(content);
-            const posterUrl = `data:image/svg+xml;base64,${Buffer.from(posterSvg).toString('base64')}`;
-
-            return {
-                id: `easynews:${encodeURIComponent(key)}`,
-                type: content.type,
-                name: content.title,
-                poster: posterUrl,
-                posterShape: 'regular',
-                releaseInfo: content.type === 'series' 
-                    ? `S${content.season} E${content.episode}` 
-                    : content.year?.toString() || '',
-                description: content.type === 'series'
-                    ? `${content.title}\nSeason ${content.season} Episode ${content.episode}\n` +
-                      `Available in: ${Array.from(content.qualities).join(', ')}\n` +
-                      `Sources: ${content.streams.length}`
-                    : `${content.title}\n` +
-                      `Available in: ${Array.from(content.qualities).join(', ')}\n` +
-                      `Sources: ${content.streams.length}`
-            };
-        });
+        const content = groupedContent.get(key);
+        content.streams.push(result);
+        content.qualities.add(result.quality);
+    });
 
-        metas.sort((a, b) => {
-            const yearA = parseInt(a.releaseInfo) || 0;
-            const yearB = parseInt(b.releaseInfo) || 0;
-            return yearB - yearA;
-        });
+    return groupedContent;
+}
 
-        return { 
+// `match` is what the metadata providers know about the title, see searchByTitle.
+// The generated poster, served by the server's poster route, is only used when
+// they have no poster; a TMDB backdrop still shows behind it.
+function createCatalogMeta(context, id, content, match = null) {
+    const availability = `Available in: ${Array.from(content.qualities).join(', ')}\n` +
+        `Sources: ${content.streams.length}`;
+    // Shows are grouped, the first result is the newest episode
+    const latestEpisode = content.type === 'series' ? `Latest: ${formatEpisodeTag(content)}\n` : '';
+
+    const meta = {
+        id,
+        type: content.type,
+        name: match?.title || content.title,
+        poster: match?.poster || `${context.baseUrl}${getPosterPath({
+            title: match?.title || content.title,
+            label: content.type === 'series' ? formatEpisodeTag(content) : String(match?.year || content.year || ''),
+            streams: content.streams,
+            background: match?.background
+        })}`,
+        posterShape: 'regular',
+        releaseInfo: (match?.year || content.year)?.toString() || '',
+        description: `${match?.description || content.title}\n${latestEpisode}${availability}`
+    };
+
+    if (match?.background) meta.background = match.background;
+    if (match?.genres?.length) meta.genres = match.genres;
+    return meta;
+}
+
+// Several groups can resolve to the same title, e.g. two episodes of one show
+function uniqueById(metas) {
+    const seen = new Set();
+    return metas.filter(meta => {
+        if (seen.has(meta.id)) return false;
+        seen.add(meta.id);
+        return true;
+    });
+}
+
+const CATALOG_PAGE_SIZE = 50;
+const BROWSE_TTL = 10 * 60 * 1000; // 10 minutes, new posts arrive all the time
+// Easynews pages read at most for one browse request, which bounds how deep `skip` goes
+const MAX_BROWSE_PAGES = 10;
+
+// Catalogs of the newest posts rather than of a search. `filters` are added to the
+// user's search filters and `accepts` keeps the results that belong in the catalog.
+// Easynews cannot filter on HDR, but HDR releases are nearly all 2160p.
+const BROWSE_CATALOGS = {
+    'easynews-recent-movies': { type: 'movie', filters: {}, accepts: result => !isSeriesResult(result) },
+    'easynews-recent-episodes': { type: 'series', filters: {}, accepts: result => isSeriesResult(result) },
+    'easynews-new-4k-hdr': { type: 'movie', filters: { minResolution: 2160 }, accepts: result => !isSeriesResult(result) }
+};
+
+async function handleBrowseCatalog(context, { id, extra }) {
+    const catalog = BROWSE_CATALOGS[id];
+    const skip = clampNumber(extra.skip, 0, Number.MAX_SAFE_INTEGER, 0);
+    const genre = extra.genre || null;
+    logger.info(`Browsing ${id} from ${skip}${genre ? ` (${genre})` : ''}`);
+
+    try {
+        const metas = await context.searchCache.getOrSet(`catalog:${id}:${genre || ''}:${skip}`, async () => {
+            const catalogMetas = await loadRecentMetas(context, id, catalog, genre, skip + CATALOG_PAGE_SIZE);
+            return catalogMetas.slice(skip, skip + CATALOG_PAGE_SIZE);
+        }, BROWSE_TTL);
+
+        return {
             metas,
-            cacheMaxAge: 3600,
+            cacheMaxAge: BROWSE_TTL / 1000,
             staleRevalidate: 1800,
             staleError: 7200
         };
@@ -274,112 +481,291 @@ builder.defineCatalogHandler(async ({ type, id, extra }) => {
         logger.error(`Error in catalog handler: ${error.message}`);
         return { metas: [] };
     }
-});
+}
+
+// Reads pages of recent posts until `needed` titles pass the genre filter, Easynews
+// runs out or MAX_BROWSE_PAGES is reached. Each page is cached on its own, so paging
+// further only fetches the new pages, and title matches are cached by the providers.
+async function loadRecentMetas(context, catalogId, catalog, genre, needed) {
+    const pages = [];
+    let metas = [];
+
+    for (let page = 1; page <= MAX_BROWSE_PAGES; page++) {
+        const { results, hasMore } = await context.searchCache.getOrSet(`recent:${catalogId}:${page}`,
+            () => context.searcher.fetchRecent(page, catalog.filters), BROWSE_TTL);
+        pages.push(results.filter(catalog.accepts));
+
+        // Pages cached at different times can overlap as new posts push older ones down
+        const groups = groupResults(mergeResults(pages), catalog.type, getGroupKey);
+        metas = await resolveCatalogMetas(context, groups, genre);
+        if (metas.length >= needed || !hasMore) break;
+    }
+
+    return metas;
+}
+
+// Metas of the groups that pass the genre filter, in group order
+async function resolveCatalogMetas(context, groups, genre) {
+    const metas = await runWithConcurrency(Array.from(groups.entries()), DEFAULT_CONCURRENCY,
+        ([key, content]) => resolveCatalogMeta(context, key, content, genre));
+    return uniqueById(metas.filter(Boolean));
+}
+
+// Movies the metadata providers recognise with an IMDb id get that id, so Stremio
+// links them to Cinemeta, subtitles and watch history and asks for streams by it.
+// Shows and other titles keep an Easynews id whose streams are the grouped files,
+// with the provider's artwork when there is a match. Titles outside the genre
+// filter resolve to null.
+async function resolveCatalogMeta(context, key, content, genre = null) {
+    const match = await context.metadataProvider.searchByTitle(content.title, content.type, content.year);
+    if (!matchesGenre(genre, content, match)) {
+        return null;
+    }
+    // Matched movies open in Cinemeta. Shows keep an easynews: id, so the meta
+    // handler can list these files as the show's available episodes.
+    if (match && match.id.startsWith('tt') && content.type === 'movie') {
+        return createCatalogMeta(context, match.id, content, match);
+    }
 
-builder.defineMetaHandler(async ({ type, id }) => {
+    const id = `easynews:${encodeURIComponent(key)}`;
+    context.searchCache.set(id, { streams: content.streams, match });
+    return createCatalogMeta(context, id, content, match);
+}
+
+async function handleMeta(context, { type, id }) {
     logger.info(`Meta request for ${id}`);
 
     try {
-        if (id.startsWith('easynews:')) {
-            const searchTerm = decodeURIComponent(id.replace('easynews:', ''));
-            logger.info(`Processing meta for: ${searchTerm}`);
-
-            // Get from cache if available
-            const cached = searchCache.get(id);
-            if (cached && cached.streams && cached.streams.length > 0) {
-                const result = cached.streams[0];
-                logger.info(`Using cached info for: ${searchTerm}`);
-                return {
-                    meta: {
-                        id: id,
-                        type: type,
-                        name: type === 'series' ? 
-                            `${result.title} S${result.season.toString().padStart(2, '0')}E${result.episode.toString().padStart(2, '0')}` :
-                            result.title,
-                        year: result.year || undefined
-                    }
-                };
-            }
+        // The manifest only claims easynews: ids
+        if (!id.startsWith('easynews:')) {
+            return { meta: null };
+        }
 
-            // Basic meta from search term
-            return {
-                meta: {
-                    id: id,
-                    type: type,
-                    name: searchTerm
-                }
-            };
+        const { baseId } = parseCatalogId(id);
+        const item = await loadCatalogItem(context, baseId, type);
+        if (!item) {
+            logger.info(`Nothing on Easynews for ${baseId}`);
+            return { meta: null };
+        }
+        if (type === 'series') {
+            return { meta: await createSeriesMeta(context, baseId, item) };
         }
 
-        return { meta: null };
+        const result = item.streams[0];
+        const { match } = item;
+        return {
+            meta: {
+                id: baseId,
+                type: type,
+                name: match?.title || result.title,
+                year: match?.year || result.year || undefined,
+                poster: match?.poster || undefined,
+                background: match?.background || undefined,
+                description: match?.description || undefined,
+                genres: match?.genres?.length ? match.genres : undefined
+            }
+        };
     } catch (error) {
         logger.error(`Error in meta handler: ${error.message}`);
         return { meta: null };
     }
-});
+}
+
+// The files and metadata match of a catalog item, as the catalog cached them.
+// Once that entry expired, or the server restarted, Easynews is searched for the
+// item's key again and the files are matched like the catalog did. Null when
+// Easynews no longer has any.
+async function loadCatalogItem(context, baseId, type) {
+    const cached = context.searchCache.get(baseId);
+    if (cached && cached.streams && cached.streams.length > 0) {
+        return cached;
+    }
+
+    const key = decodeURIComponent(baseId.replace('easynews:', ''));
+    logger.info(`Searching again for expired catalog item: ${key}`);
+    // Movies are grouped as "Title (2020)", searched as "Title 2020"
+    const results = await searchWithReport(context, key.replace(/ \((\d{4})\)$/, ' $1'));
+    const content = groupResults(results, type, getGroupKey).get(key);
+    if (!content) {
+        return null;
+    }
+    await resolveCatalogMeta(context, key, content);
+    return context.searchCache.get(baseId) || { streams: content.streams, match: null };
+}
+
+// "easynews:<key>:1:2" is episode 2 of season 1 of a show only known from
+// Easynews; the key is URI-encoded, so it has no colons of its own
+function parseCatalogId(id) {
+    const parts = id.split(':');
+    if (parts[0] !== 'easynews') {
+        return { baseId: parts[0], season: null, episode: null };
+    }
+    return {
+        baseId: parts.slice(0, 2).join(':'),
+        season: parts[2] ? parseInt(parts[2]) : null,
+        episode: parts[3] ? parseInt(parts[3]) : null
+    };
+}
+
+const QUALITY_ORDER = ['4K', '1080p', '720p', '480p', 'SD'];
+
+// A show with one video per episode. The episode list comes from the metadata
+// provider when the show was matched, otherwise from the files on Easynews.
+// Episodes with files are marked available and name their qualities.
+async function createSeriesMeta(context, id, { streams, match }) {
+    let episodes = [];
+    let videoPrefix = id;
+    if (match) {
+        try {
+            // A TMDB match already knows its TMDB id, which saves looking up the IMDb id
+            const metadataId = match.tmdbId ? `tmdb-${match.tmdbId}` : match.id;
+            const metadata = await context.metadataProvider.getMetadata(metadataId, 'series');
+            episodes = await context.metadataProvider.getEpisodes(metadata);
+            // Provider ids make the stream handler search each episode by its titles
+            videoPrefix = match.id.replace(/^tmdb-/, 'tmdb:');
+        } catch (error) {
+            if (!(error instanceof MetadataError)) throw error;
+            logger.warn(`No episode list for ${id} (${error.code}): ${error.message}`);
+        }
+    }
+    // Daily shows are matched on the air date, which only the provider knows
+    const hasAirDates = episodes.length > 0;
+    if (!hasAirDates) {
+        episodes = getEasynewsEpisodes(streams);
+        videoPrefix = id;
+    }
+
+    const videos = episodes.map(item => {
+        const airDate = hasAirDates ? item.released : null;
+        const qualities = QUALITY_ORDER.filter(quality => streams.some(result =>
+            result.quality === quality && matchesEpisode(result, item.season, item.episode, airDate)));
+        const title = item.title || `Episode ${item.episode}`;
+        return {
+            id: `${videoPrefix}:${item.season}:${item.episode}`,
+            title: qualities.length > 0 ? `${title} [${qualities.join(', ')}]` : title,
+            season: item.season,
+            episode: item.episode,
+            released: item.released ? new Date(item.released).toISOString() : undefined,
+            overview: item.overview || undefined,
+            thumbnail: item.thumbnail || undefined,
+            available: qualities.length > 0
+        };
+    });
+    logger.info(`Listing ${videos.length} episodes for ${id}, ${videos.filter(video => video.available).length} on Easynews`);
+
+    return {
+        id,
+        type: 'series',
+        name: match?.title || streams[0].title,
+        releaseInfo: (match?.year || streams[0].year)?.toString() || undefined,
+        poster: match?.poster || undefined,
+        background: match?.background || undefined,
+        description: match?.description || undefined,
+        genres: match?.genres?.length ? match.genres : undefined,
+        videos
+    };
+}
 
-builder.defineStreamHandler(async ({ type, id }) => {
+// Season and episode numbers of the files, dated by their earliest post. Files
+// named only by air date or absolute number have no place in this list.
+function getEasynewsEpisodes(streams) {
+    const episodes = new Map();
+    for (const result of streams) {
+        const { season, episodes: numbers } = result.release;
+        if (season === null) continue;
+        for (const episode of numbers) {
+            const key = `${season}:${episode}`;
+            const existing = episodes.get(key);
+            if (!existing || (result.postDate && (!existing.released || result.postDate < existing.released))) {
+                episodes.set(key, { season, episode, released: result.postDate || null });
+            }
+        }
+    }
+    return Array.from(episodes.values()).sort((a, b) => a.season - b.season || a.episode - b.episode);
+}
+
+async function handleStream(context, { type, id }) {
+    const { metadataProvider } = context;
     logger.info(`Stream request for ${id}`);
 
     try {
         let results = [];
 
         if (id.startsWith('easynews:')) {
-            const cached = searchCache.get(id);
-            if (cached && (Date.now() - cached.timestamp) < CACHE_TIMEOUT) {
+            const { baseId, season, episode } = parseCatalogId(id);
+            const cached = context.searchCache.get(baseId);
+            if (cached) {
                 results = cached.streams;
-                logger.info(`Using ${results.length} cached streams for ${id}`);
+                logger.info(`Using ${results.length} cached streams for ${baseId}`);
             } else {
-                const searchTerm = decodeURIComponent(id.replace('easynews:', ''));
+                const searchTerm = decodeURIComponent(baseId.replace('easynews:', ''));
                 const cleanSearchTerm = searchTerm.replace(/\.[^/.]+$/, "");
                 logger.info(`Searching with term: ${cleanSearchTerm}`);
-                results = await easynewsSearcher.search(cleanSearchTerm);
+                results = await searchWithReport(context, season && episode
+                    ? `${cleanSearchTerm} S${padNumber(season)}E${padNumber(episode)}`
+                    : cleanSearchTerm);
+            }
+            if (season && episode) {
+                results = results.filter(result => matchesEpisode(result, season, episode, null));
             }
-        } else if ((id.startsWith('tt') || id.startsWith('tmdb')) && tmdbHandler) {
+        } else if (id.startsWith('tt') || id.startsWith('tmdb')) {
+            const { baseId, season, episode } = parseStreamId(id);
+            let metadata;
             try {
-                const [baseId, seasonNum, episodeNum] = id.split(':');
-                const metadata = await tmdbHandler.getMetadata(baseId, type);
-                if (!metadata) {
-                    logger.error(`Unable to find metadata for ${baseId}`);
-                    return { streams: [] };
-                }
+                metadata = await metadataProvider.getMetadata(baseId, type, season ? { season } : {});
+            } catch (error) {
+                if (!(error instanceof MetadataError)) throw error;
+                // Searching Easynews for the bare id would never match a filename
+                logger.warn(`No metadata for ${id} (${error.code}): ${error.message}`);
+                return { streams: [] };
+            }
+            logger.info(`Resolved ${baseId} to "${metadata.title}" using ${metadata.source} metadata`);
 
-                const title = metadata.title || metadata.name;
-                let year = null;
+            const { title, year } = metadata;
+            const expected = {
+                titles: metadata.titles,
+                year,
+                type
+            };
+            const queryTitles = generateTitleVariants(title, {
+                originalTitle: metadata.originalTitle,
+                alternativeTitles: metadata.searchAliases,
+                year,
+                type
+            });
 
-                if (type === 'movie' && metadata.release_date) {
-                    year = new Date(metadata.release_date).getFullYear();
-                } else if (type === 'series' && metadata.first_air_date) {
-                    year = new Date(metadata.first_air_date).getFullYear();
-                }
+            if (type === 'series' && season && episode) {
+                const { airDate, absoluteEpisode } = await metadataProvider.getEpisodeInfo(metadata, season, episode);
+                Object.assign(expected, { season, episode, airDate });
+                logger.info(`Searching for series episode: ${title} S${padNumber(season)}E${padNumber(episode)}`);
+                results = await searchEpisode(context, queryTitles, season, episode, airDate);
 
-                let searchTerm;
-                if (type === 'series' && seasonNum && episodeNum) {
-                    searchTerm = `${title} S${seasonNum.padStart(2, '0')}E${episodeNum.padStart(2, '0')}`;
-                    logger.info(`Searching for series episode: ${searchTerm}`);
-                } else if (type === 'movie') {
-                    searchTerm = year ? `${title} ${year}` : title;
-                    logger.info(`Searching for movie: ${searchTerm}`);
-                } else {
-                    searchTerm = title;
-                    logger.info(`Searching with basic title: ${searchTerm}`);
+                // Anime is usually released with absolute numbering, so search both schemes
+                if (metadata.anime && absoluteEpisode) {
+                    expected.absoluteEpisode = absoluteEpisode;
+                    logger.info(`Anime detected, also searching absolute episode ${absoluteEpisode}`);
+                    results = mergeResults([results, await searchAbsoluteEpisode(context, queryTitles, absoluteEpisode)]);
                 }
+            } else {
+                logger.info(`Searching for ${type}: ${title}${year ? ` (${year})` : ''}`);
+                results = await searchQueries(context, queryTitles.map(queryTitle =>
+                    type === 'movie' && year ? `${queryTitle} ${year}` : queryTitle));
+            }
 
-                results = await easynewsSearcher.search(searchTerm);
-
-                if (results.length === 0 && type === 'movie' && year) {
-                    logger.info(`No results found with year, trying without year: ${title}`);
-                    results = await easynewsSearcher.search(title);
-                }
-            } catch (error) {
-                logger.error(`TMDB error: ${error.message}. Falling back to ID-based search.`);
-                results = await handleIdBasedSearch(id, type);
+            if (results.length === 0 && type === 'movie' && year) {
+                logger.info(`No results found with year, trying without year: ${title}`);
+                results = await searchQueries(context, queryTitles);
             }
+
+            results = applyRelevance(context, results, expected);
+        } else if (id.startsWith('kitsu:')) {
+            results = await handleKitsuSearch(context, id, type);
         } else {
-            results = await handleIdBasedSearch(id, type);
+            logger.warn(`Unsupported stream id: ${id}`);
         }
 
-        const streams = sortStreams(results.map(createStream));
+        const ranked = rankResults(filterByLanguage(results, context.languagePreferences), context.ranking, context.languagePreferences);
+        const streams = ranked.map(result => createStream(result, context));
         logger.info(`Returning ${streams.length} streams for ${id}`);
 
         return { 
@@ -392,58 +778,299 @@ builder.defineStreamHandler(async ({ type, id }) => {
         logger.error(`Error in stream handler: ${error.message}`);
         return { streams: [] };
     }
-});
+}
+
+// Runs a paged search and logs how far it got, so truncated result sets are visible.
+// Results are cached per search term. Failed searches throw and partial ones are
+// returned uncached, so an Easynews outage is never served from the cache.
+async function searchWithReport(context, searchTerm) {
+    let partial = false;
+    return context.searchCache.getOrSet(`query:${searchTerm}`, async () => {
+        const report = await context.searcher.searchDetailed(searchTerm, {
+            onProgress: ({ page, fetched, relevant }) => {
+                logger.debug(`Page ${page} for "${searchTerm}": ${fetched} results so far, ${relevant} relevant`);
+            }
+        });
+
+        if (report.truncated) {
+            const total = report.totalResults ? ` of ${report.totalResults}` : '';
+            logger.info(`More results available for "${searchTerm}": returned ${report.results.length}${total} after ${report.pagesFetched} page(s)`);
+        }
+        if (report.partial) {
+            logger.warn(`Not caching partial results for "${searchTerm}" after ${report.pagesFetched} page(s)`);
+            partial = true;
+        }
+
+        return report.results;
+    }, CACHE_TIMEOUT, { shouldCache: () => !partial });
+}
+
+// Merges result lists from several queries, dropping files found more than once
+function mergeResults(resultLists) {
+    const seen = new Set();
+    return resultLists.flat().filter(result => {
+        const key = result.fileHash || result.linkUrl;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
 
-async function handleIdBasedSearch(id, type) {
-    const [baseId, seasonNum, episodeNum] = id.split(':');
-    let searchTerm;
+// True when the file contains the episode: S01E02, a range like S01E01E02, or
+// a daily show posted under the episode's air date
+function matchesEpisode(result, season, episode, airDate) {
+    const { release } = result;
+    if (airDate && release.airDate === airDate) {
+        return true;
+    }
+    return release.season === season && release.episodes.includes(episode);
+}
+
+function matchesAbsoluteEpisode(result, absoluteEpisode) {
+    return result.release.absoluteEpisodes.includes(absoluteEpisode);
+}
+
+// Runs every query with bounded concurrency and merges the results
+async function searchQueries(context, queries) {
+    const uniqueQueries = Array.from(new Set(queries));
+    logger.info(`Running ${uniqueQueries.length} queries: ${uniqueQueries.join(' | ')}`);
+    // A failed query leaves the others' results usable
+    const resultLists = await runWithConcurrency(uniqueQueries, DEFAULT_CONCURRENCY, query =>
+        searchWithReport(context, query).catch(error => {
+            logger.error(`Query "${query}" failed: ${error.message}`);
+            return [];
+        }));
+    return mergeResults(resultLists);
+}
+
+async function searchAbsoluteEpisode(context, titles, absoluteEpisode) {
+    const results = await searchQueries(context, titles.map(title => `${title} ${padNumber(absoluteEpisode)}`));
+    return results.filter(result => matchesAbsoluteEpisode(result, absoluteEpisode));
+}
+
+async function searchEpisode(context, titles, season, episode, airDate) {
+    const filterEpisode = (results) => results.filter(result => matchesEpisode(result, season, episode, airDate));
+
+    // The season-wide query picks up multi-episode files such as S01E01E02
+    let results = filterEpisode(await searchQueries(context, titles.flatMap(title => [
+        `${title} S${padNumber(season)}E${padNumber(episode)}`,
+        `${title} S${padNumber(season)}`
+    ])));
+
+    if (results.length === 0) {
+        logger.info(`No SxxEyy results, trying ${season}x${padNumber(episode)} naming`);
+        results = filterEpisode(await searchQueries(context, titles.map(title => `${title} ${season}x${padNumber(episode)}`)));
+    }
+
+    if (results.length === 0 && airDate) {
+        logger.info(`No episode-numbered results, trying air date ${airDate}`);
+        results = filterEpisode(await searchQueries(context, titles.map(title => `${title} ${airDate.replace(/-/g, ' ')}`)));
+    }
+
+    return results;
+}
+
+function applyRelevance(context, results, expected) {
+    const relevant = filterByRelevance(results, expected, context.matchStrictness);
+    if (relevant.length < results.length) {
+        logger.info(`Dropped ${results.length - relevant.length} results not matching ${expected.titles[0]} (${context.matchStrictness})`);
+    }
+    return relevant;
+}
+
+function clampNumber(value, min, max, fallback) {
+    const number = parseInt(value);
+    if (isNaN(number)) return fallback;
+    return Math.min(Math.max(number, min), max);
+}
+
+// "tt0903747:1:2" and "tmdb:1396:1:2"; TMDB ids become "tmdb-1396" for the providers
+function parseStreamId(id) {
+    const parts = id.split(':');
+    const baseId = parts[0] === 'tmdb' ? `tmdb-${parts[1]}` : parts[0];
+    const [seasonNum, episodeNum] = parts[0] === 'tmdb' ? parts.slice(2) : parts.slice(1);
+    return {
+        baseId,
+        season: seasonNum ? parseInt(seasonNum) : null,
+        episode: episodeNum ? parseInt(episodeNum) : null
+    };
+}
+
+// Kitsu ids are "kitsu:<id>" for movies and "kitsu:<id>:<episode>" for series,
+// where the episode is numbered within that Kitsu entry
+async function handleKitsuSearch(context, id, type) {
+    const [, kitsuId, episodeNum] = id.split(':');
+    const metadata = await context.kitsuHandler.getMetadata(kitsuId);
+    if (!metadata) {
+        logger.error(`Unable to find Kitsu metadata for ${kitsuId}`);
+        return [];
+    }
+
+    const titles = [metadata.title, ...metadata.alternativeTitles];
+    const queryTitles = generateTitleVariants(metadata.title, {
+        alternativeTitles: metadata.alternativeTitles
+    });
+
+    if (!episodeNum) {
+        logger.info(`Searching for anime movie: ${metadata.title}`);
+        const results = await searchQueries(context, queryTitles);
+        return applyRelevance(context, results, { titles, year: metadata.year, type: 'movie' });
+    }
+
+    const episode = parseInt(episodeNum);
+    logger.info(`Searching for anime episode: ${metadata.title} - ${padNumber(episode)}`);
+    const results = mergeResults([
+        await searchAbsoluteEpisode(context, queryTitles, episode),
+        await searchEpisode(context, queryTitles, 1, episode, null)
+    ]);
+    return applyRelevance(context, results, { titles, type: 'series', season: 1, episode, absoluteEpisode: episode });
+}
 
-    if (type === 'series' && seasonNum && episodeNum) {
-        searchTerm = `${baseId} S${seasonNum.padStart(2, '0')}E${episodeNum.padStart(2, '0')}`;
-        logger.info(`Searching for series episode without TMDB: ${searchTerm}`);
-    } else {
-        searchTerm = baseId;
-        logger.info(`Searching with ID only: ${searchTerm}`);
+// A fresh builder per configuration, so each router only ever sees its own context
+function createAddonInterface(context) {
+    const builder = new addonBuilder(manifest);
+    builder.defineCatalogHandler(args => handleCatalog(context, args));
+    builder.defineMetaHandler(args => handleMeta(context, args));
+    builder.defineStreamHandler(args => handleStream(context, args));
+    return builder.getInterface();
+}
+
+// The user's own key wins over the server's TMDB_API_KEY. Without either the
+// addon runs on the local metadata mapping only.
+function resolveTmdbKey(config) {
+    const userKey = typeof config.tmdbApiKey === 'string' ? config.tmdbApiKey.trim() : '';
+    if (userKey) {
+        if (!TMDBHandler.getKeyType(userKey)) {
+            throw new Error('Invalid TMDB API key: expected a v3 API key or a v4 read access token');
+        }
+        return { apiKey: userKey, source: 'user' };
     }
+    if (process.env.TMDB_API_KEY) {
+        return { apiKey: process.env.TMDB_API_KEY, source: 'server' };
+    }
+    return { apiKey: null, source: null };
+}
+
+function createTmdbHandler(apiKey) {
+    if (!apiKey) {
+        return null;
+    }
+
+    try {
+        const tmdbHandler = new TMDBHandler(apiKey, { cache: tmdbCache });
+        logger.info(`TMDB handler initialized with a ${tmdbHandler.keyType} key`);
+        return tmdbHandler;
+    } catch (error) {
+        logger.warn(`Failed to initialize TMDB handler: ${error.message}`);
+        return null;
+    }
+}
+
+// Everything that changes what a search returns, and who may see it. The password
+// only goes in as a keyed hash, so a wrong password gets a scope of its own
+// without the password ending up in a persisted cache key.
+function getCacheScope({ username, password, backend, pageSize, maxPages }, filters) {
+    const credentials = hashCredentials(username, password);
+    return crypto.createHash('sha256')
+        .update(JSON.stringify({ username, credentials, backend, pageSize, maxPages, filters }))
+        .digest('hex')
+        .substring(0, 16);
+}
+
+// The operator's id mapping is shared, it is read again when the file changes
+const localMetadataProvider = new LocalMetadataProvider();
+
+// TMDB first when available, then the local mapping, which keeps ids resolving
+// while TMDB is down
+function createMetadataProvider(apiKey) {
+    const tmdbHandler = createTmdbHandler(apiKey);
+    return new MetadataProviderChain(tmdbHandler ? [tmdbHandler, localMetadataProvider] : [localMetadataProvider]);
+}
 
-    return await easynewsSearcher.search(searchTerm);
+// "tmdb (user key)", "tmdb (server key)" or "local"
+function describeMetadataSource(keySource) {
+    return keySource ? `tmdb (${keySource} key)` : 'local';
 }
 
-function setConfiguration(config) {
+// What the server uses for configurations without their own TMDB key. Public, so
+// the local mapping is only described by whether it loaded and its size.
+async function getMetadataStatus() {
+    const mapping = await localMetadataProvider.file.read();
+    return {
+        source: describeMetadataSource(process.env.TMDB_API_KEY ? 'server' : null),
+        serverTmdbKey: Boolean(process.env.TMDB_API_KEY),
+        localMapping: {
+            loaded: localMetadataProvider.file.modified !== null,
+            entries: Object.keys(mapping).length
+        }
+    };
+}
+
+// `baseUrl` and `configToken` are where stream URLs point: the server's play route.
+// Generated posters are served from `baseUrl` too.
+function setConfiguration(config, { baseUrl = '', configToken = '' } = {}) {
     try {
         logger.info('Received configuration:', JSON.stringify({
             ...config,
             username: config.username ? '[REDACTED]' : undefined,
-            password: config.password ? '[REDACTED]' : undefined
+            password: config.password ? '[REDACTED]' : undefined,
+            tmdbApiKey: config.tmdbApiKey ? '[REDACTED]' : undefined
         }));
 
-        const { username, password } = config;
-        easynewsUsername = username;
-        easynewsPassword = password;
+        const { username, password, backend = 'rss' } = config;
+        const tmdbKey = resolveTmdbKey(config);
+        const filters = normalizeSearchFilters(config);
 
-        easynewsSearcher = new EasynewsSearcher(username, password);
+        const pageSize = clampNumber(config.pageSize, 10, 1000, 100);
+        const maxPages = clampNumber(config.maxPages, 1, 20, 5);
 
-        const TMDB_API_KEY = process.env.TMDB_API_KEY || 'f051e7366c6105ad4f9aafe4733d9dae';
-
-        if (TMDB_API_KEY) {
-            try {
-                tmdbHandler = new TMDBHandler(TMDB_API_KEY);
-                logger.info('TMDB handler initialized with API key');
-            } catch (error) {
-                logger.warn('Failed to initialize TMDB handler:', error.message);
-                tmdbHandler = null;
-            }
-        } else {
-            logger.warn('No TMDB API key available - TMDB features will be disabled');
-            tmdbHandler = null;
-        }
+        const context = {
+            username,
+            password,
+            baseUrl,
+            configToken,
+            searcher: new EasynewsSearcher(username, password, {
+                backend,
+                filters,
+                pageSize,
+                maxPages
+            }),
+            metadataProvider: createMetadataProvider(tmdbKey.apiKey),
+            metadataSource: describeMetadataSource(tmdbKey.source),
+            kitsuHandler: new KitsuHandler(),
+            matchStrictness: STRICTNESS_LEVELS[config.matchStrictness] ? config.matchStrictness : 'lenient',
+            languagePreferences: normalizeLanguagePreferences(config),
+            ranking: normalizeRanking(config),
+            labels: normalizeLabelTemplates(config),
+            searchCache: searchCache.scope(getCacheScope({ username, password, backend, pageSize, maxPages }, filters))
+        };
+        logger.info(`Using ${backend} search backend with filters: ${JSON.stringify(filters)}`);
 
-        logger.info('Configuration set for Easynews searcher');
-        return builder.getInterface();
+        logger.info(`Configuration set for Easynews searcher, metadata from ${context.metadataSource}`);
+        return createAddonInterface(context);
     } catch (error) {
         logger.error('Error in setConfiguration:', error);
         throw error;
     }
 }
 
-module.exports = { setConfiguration };
\ No newline at end of file
+// Checks a configuration before an install token is handed out. Unlike
+// setConfiguration this asks TMDB whether the user's key works.
+async function validateConfiguration(config) {
+    setConfiguration(config);
+
+    const tmdbKey = resolveTmdbKey(config);
+    if (tmdbKey.source === 'user') {
+        try {
+            await new TMDBHandler(tmdbKey.apiKey).validateKey();
+        } catch (error) {
+            if (error.code === 'invalid_key') throw error;
+            // An unreachable TMDB says nothing about the key; the local mapping covers until it is back
+            logger.warn(`Accepting configuration with an unchecked TMDB key: ${error.message}`);
+            return { metadataSource: `${describeMetadataSource(tmdbKey.source)}, degraded: TMDB could not be reached` };
+        }
+    }
+    return { metadataSource: describeMetadataSource(tmdbKey.source) };
+}
+
+module.exports = { setConfiguration, validateConfiguration, getMetadataStatus };
@@ -0,0 +1,310 @@
+// Bounded cache with LRU and TTL eviction. Entries are dropped when they expire,
+// when there are more than `maxEntries`, or when their estimated JSON size passes
+// `maxBytes`. With a FileStore the entries are written to disk and read back on
+// start, so they survive restarts; only JSON-serializable values can be stored then.
+// Writes are asynchronous and only happen after a change. Call flushCaches before
+// stopping the process; the exit handler is only a synchronous last resort.
+const fs = require('fs');
+const path = require('path');
+
+const PERSIST_DELAY = 5000;
+// Entries are written in chunks of about this many characters, so a large cache
+// does not hold up the event loop while it is saved
+const WRITE_CHUNK = 1024 * 1024;
+
+const caches = new Set();
+
+function estimateSize(value) {
+    try {
+        const json = JSON.stringify(value);
+        return json ? Buffer.byteLength(json) : 0;
+    } catch (error) {
+        return 0;
+    }
+}
+
+class FileStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    load() {
+        try {
+            const entries = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            // Missing or corrupt files start an empty cache
+            return [];
+        }
+    }
+
+    // Written to a temporary file first so a crash never leaves half a cache behind
+    async save(entries) {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = this.getTempPath();
+        const file = await fs.promises.open(tempPath, 'w');
+        try {
+            let chunk = '[';
+            for (const [index, entry] of entries.entries()) {
+                chunk += (index > 0 ? ',' : '') + JSON.stringify(entry);
+                if (chunk.length >= WRITE_CHUNK) {
+                    await file.write(chunk);
+                    chunk = '';
+                }
+            }
+            await file.write(`${chunk}]`);
+        } finally {
+            await file.close();
+        }
+        await fs.promises.rename(tempPath, this.filePath);
+    }
+
+    saveSync(entries) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempPath = this.getTempPath();
+        fs.writeFileSync(tempPath, JSON.stringify(entries));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    getTempPath() {
+        return `${this.filePath}.${process.pid}.tmp`;
+    }
+}
+
+class Cache {
+    constructor(name, { maxEntries = 1000, maxBytes = Infinity, ttl = 30 * 60 * 1000, store = null } = {}) {
+        this.name = name;
+        this.maxEntries = maxEntries;
+        this.maxBytes = maxBytes;
+        this.ttl = ttl;
+        this.store = store;
+        this.entries = new Map();
+        this.pending = new Map();
+        this.bytes = 0;
+        this.stats = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+        this.persistTimer = null;
+        this.persistError = null;
+        // Whether entries changed since they were last written, and the running write
+        this.dirty = false;
+        this.writing = Promise.resolve();
+
+        if (store) {
+            const now = Date.now();
+            for (const [key, entry] of store.load()) {
+                if (entry && entry.expiresAt > now) {
+                    this.insert(key, entry.value, entry.expiresAt);
+                }
+            }
+            process.once('exit', () => this.persistSync());
+        }
+
+        caches.add(this);
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            this.stats.misses++;
+            return undefined;
+        }
+        if (entry.expiresAt <= Date.now()) {
+            this.remove(key);
+            this.stats.expirations++;
+            this.stats.misses++;
+            return undefined;
+        }
+
+        // Re-inserting moves the entry to the most recently used end
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.stats.hits++;
+        return entry.value;
+    }
+
+    has(key) {
+        const entry = this.entries.get(key);
+        return Boolean(entry) && entry.expiresAt > Date.now();
+    }
+
+    set(key, value, ttl = this.ttl) {
+        this.remove(key);
+        this.insert(key, value, Date.now() + ttl);
+        this.evict();
+        this.schedulePersist();
+        return value;
+    }
+
+    delete(key) {
+        const deleted = this.remove(key);
+        if (deleted) {
+            this.schedulePersist();
+        }
+        return deleted;
+    }
+
+    clear() {
+        this.entries.clear();
+        this.bytes = 0;
+        this.schedulePersist();
+    }
+
+    // Returns the cached value or loads it once, even with concurrent callers.
+    // `undefined` and `null` results are not cached so failures are retried, nor
+    // are values `shouldCache` turns down. `ttl` may be a function of the value.
+    async getOrSet(key, loader, ttl = this.ttl, { shouldCache = () => true } = {}) {
+        const cached = this.get(key);
+        if (cached !== undefined) {
+            return cached;
+        }
+        if (this.pending.has(key)) {
+            return this.pending.get(key);
+        }
+
+        const promise = (async () => {
+            try {
+                const value = await loader();
+                if (value !== undefined && value !== null && shouldCache(value)) {
+                    this.set(key, value, typeof ttl === 'function' ? ttl(value) : ttl);
+                }
+                return value;
+            } finally {
+                this.pending.delete(key);
+            }
+        })();
+        this.pending.set(key, promise);
+        return promise;
+    }
+
+    // A view of the cache whose keys are prefixed, so users can share one cache
+    // without ever reading each other's entries
+    scope(prefix) {
+        const scopedKey = key => `${prefix}:${key}`;
+        return {
+            get: key => this.get(scopedKey(key)),
+            has: key => this.has(scopedKey(key)),
+            set: (key, value, ttl) => this.set(scopedKey(key), value, ttl),
+            delete: key => this.delete(scopedKey(key)),
+            getOrSet: (key, loader, ttl, options) => this.getOrSet(scopedKey(key), loader, ttl, options)
+        };
+    }
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            name: this.name,
+            entries: this.entries.size,
+            maxEntries: this.maxEntries,
+            bytes: this.bytes,
+            maxBytes: Number.isFinite(this.maxBytes) ? this.maxBytes : null,
+            persistent: Boolean(this.store),
+            persistError: this.persistError,
+            ...this.stats,
+            hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : null
+        };
+    }
+
+    insert(key, value, expiresAt) {
+        const size = Number.isFinite(this.maxBytes) ? estimateSize(value) : 0;
+        this.entries.set(key, { value, expiresAt, size });
+        this.bytes += size;
+    }
+
+    remove(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return false;
+        this.entries.delete(key);
+        this.bytes -= entry.size;
+        return true;
+    }
+
+    // Expired entries go first, then the least recently used ones
+    evict() {
+        if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) return;
+
+        const now = Date.now();
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt <= now) {
+                this.remove(key);
+                this.stats.expirations++;
+            }
+        }
+
+        for (const key of this.entries.keys()) {
+            if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) break;
+            this.remove(key);
+            this.stats.evictions++;
+        }
+    }
+
+    schedulePersist() {
+        this.dirty = true;
+        if (!this.store || this.persistTimer) return;
+        this.persistTimer = setTimeout(() => this.persist(), PERSIST_DELAY);
+        this.persistTimer.unref();
+    }
+
+    // Writes the entries if they changed. Writes run one at a time, a call during
+    // a write waits for it and then writes what changed meanwhile.
+    persist() {
+        if (!this.store) return Promise.resolve();
+        clearTimeout(this.persistTimer);
+        this.persistTimer = null;
+
+        this.writing = this.writing.then(async () => {
+            if (!this.dirty) return;
+            this.dirty = false;
+            try {
+                await this.store.save(this.getLiveEntries());
+                this.persistError = null;
+            } catch (error) {
+                // A cache that cannot be written still works in memory; the error shows in the stats
+                this.dirty = true;
+                this.persistError = error.message;
+            }
+        });
+        return this.writing;
+    }
+
+    persistSync() {
+        if (!this.store || !this.dirty) return;
+        clearTimeout(this.persistTimer);
+        this.persistTimer = null;
+        try {
+            this.store.saveSync(this.getLiveEntries());
+            this.dirty = false;
+        } catch (error) {
+            this.persistError = error.message;
+        }
+    }
+
+    getLiveEntries() {
+        const now = Date.now();
+        const entries = [];
+        for (const [key, { value, expiresAt }] of this.entries) {
+            if (expiresAt > now) {
+                entries.push([key, { value, expiresAt }]);
+            }
+        }
+        return entries;
+    }
+}
+
+// Creates a cache that is persisted under CACHE_DIR when that is set
+function createCache(name, options = {}) {
+    const { persistent = false, ...cacheOptions } = options;
+    const store = persistent && process.env.CACHE_DIR
+        ? new FileStore(path.join(process.env.CACHE_DIR, `${name}.json`))
+        : null;
+    return new Cache(name, { ...cacheOptions, store });
+}
+
+// Writes every persistent cache that changed, for a clean shutdown
+function flushCaches() {
+    return Promise.all(Array.from(caches, cache => cache.persist()));
+}
+
+function getCacheStats() {
+    return Array.from(caches, cache => cache.getStats());
+}
+
+module.exports = { Cache, FileStore, createCache, flushCaches, getCacheStats };
@@ -0,0 +1,62 @@
+// Genre options of the catalogs. Besides TMDB's genres there are filters on the
+// files themselves ("4K only", "HDR", "Remux") and on the release decade. They are
+// applied to grouped Easynews results, after the titles were matched to metadata.
+
+// TMDB's genre names, which differ between movies and shows
+const MOVIE_GENRES = [
+    'Action', 'Adventure', 'Animation', 'Comedy', 'Crime', 'Documentary', 'Drama', 'Family',
+    'Fantasy', 'History', 'Horror', 'Music', 'Mystery', 'Romance', 'Science Fiction',
+    'TV Movie', 'Thriller', 'War', 'Western'
+];
+const SERIES_GENRES = [
+    'Action & Adventure', 'Animation', 'Comedy', 'Crime', 'Documentary', 'Drama', 'Family',
+    'Kids', 'Mystery', 'News', 'Reality', 'Sci-Fi & Fantasy', 'Soap', 'Talk',
+    'War & Politics', 'Western'
+];
+
+// A title passes when any of its files does
+const FILE_FILTERS = {
+    '4K only': result => result.quality === '4K',
+    'HDR': result => (result.release?.hdr || []).length > 0,
+    'Remux': result => result.release?.source === 'REMUX'
+};
+
+const FIRST_DECADE = 1950;
+
+// "2020s" down to "1950s"
+function getDecades(now = new Date()) {
+    const decades = [];
+    for (let decade = Math.floor(now.getFullYear() / 10) * 10; decade >= FIRST_DECADE; decade -= 10) {
+        decades.push(`${decade}s`);
+    }
+    return decades;
+}
+
+function getGenreOptions(type) {
+    return [
+        ...Object.keys(FILE_FILTERS),
+        ...getDecades(),
+        ...(type === 'series' ? SERIES_GENRES : MOVIE_GENRES)
+    ];
+}
+
+// True when a grouped title ({ year, streams }) passes the genre filter. `match` is
+// what the metadata providers know about the title; TMDB genres need one.
+function matchesGenre(genre, content, match) {
+    if (!genre) return true;
+
+    if (FILE_FILTERS[genre]) {
+        return content.streams.some(FILE_FILTERS[genre]);
+    }
+
+    const decade = genre.match(/^(\d{3}0)s$/);
+    if (decade) {
+        const year = match?.year || content.year;
+        return Boolean(year) && Math.floor(year / 10) * 10 === parseInt(decade[1]);
+    }
+
+    const wanted = genre.toLowerCase();
+    return (match?.genres || []).some(name => name.toLowerCase() === wanted);
+}
+
+module.exports = { getGenreOptions, matchesGenre };
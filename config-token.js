@@ -0,0 +1,165 @@
+// Configuration tokens. The user's config (including the Easynews password) is put
+// in every addon URL, so it is encrypted and authenticated with a server-side key:
+//
+//   v1.<base64url(iv | auth tag | AES-256-GCM ciphertext)>
+//
+// The ciphertext is JSON { config, iat, exp }. Bump TOKEN_VERSION and add a branch
+// in decodeConfigToken when the format changes. Play tokens (one file of a stream
+// list) use the same format with their own associated data, so neither kind of
+// token can be passed off as the other.
+const crypto = require('crypto');
+
+const TOKEN_VERSION = 'v1';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const DEFAULT_TTL_DAYS = 365;
+const PLAY_TOKEN_TTL = 24 * 60 * 60 * 1000;
+const PLAY_TOKEN_AAD = `${TOKEN_VERSION}:play`;
+// Plain base64 JSON URLs from before tokens were encrypted are accepted until then
+const DEFAULT_LEGACY_DEADLINE = '2027-04-01';
+
+class ConfigTokenError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'ConfigTokenError';
+        this.code = code;
+    }
+}
+
+let generatedSecret = null;
+
+function getKey(info = 'easynews-config-token') {
+    let secret = process.env.CONFIG_SECRET;
+    if (!secret) {
+        // Tokens made with a generated key stop working when the server restarts
+        generatedSecret = generatedSecret || crypto.randomBytes(32).toString('hex');
+        secret = generatedSecret;
+    }
+    return Buffer.from(crypto.hkdfSync('sha256', secret, '', info, 32));
+}
+
+// Keyed hash of Easynews credentials. Without the server's secret it reveals nothing
+// about the password, so it can be part of persisted cache keys.
+function hashCredentials(username, password) {
+    return crypto.createHmac('sha256', getKey('easynews-credentials'))
+        .update(JSON.stringify([username, password]))
+        .digest('hex');
+}
+
+function hasConfigSecret() {
+    return Boolean(process.env.CONFIG_SECRET);
+}
+
+function getTtlMs() {
+    const days = parseFloat(process.env.CONFIG_TOKEN_TTL_DAYS);
+    return (Number.isFinite(days) && days > 0 ? days : DEFAULT_TTL_DAYS) * 24 * 60 * 60 * 1000;
+}
+
+function isLegacyAllowed(now = Date.now()) {
+    const deadline = new Date(process.env.LEGACY_CONFIG_UNTIL || DEFAULT_LEGACY_DEADLINE).getTime();
+    return !isNaN(deadline) && now < deadline;
+}
+
+function seal(payload, aad) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+    cipher.setAAD(Buffer.from(aad));
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+}
+
+function unseal(body, aad, now) {
+    const data = Buffer.from(body, 'base64url');
+    if (data.length <= IV_LENGTH + TAG_LENGTH) {
+        throw new ConfigTokenError('malformed', 'Token is malformed');
+    }
+
+    let payload;
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), data.subarray(0, IV_LENGTH));
+        decipher.setAAD(Buffer.from(aad));
+        decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+        const plaintext = Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+        payload = JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+        throw new ConfigTokenError('invalid', 'Token was modified or signed with another key');
+    }
+
+    if (!payload.exp || now >= payload.exp) {
+        throw new ConfigTokenError('expired', 'Token has expired');
+    }
+    return payload;
+}
+
+function encodeConfigToken(config, now = Date.now()) {
+    return `${TOKEN_VERSION}.${seal({ config, iat: now, exp: now + getTtlMs() }, TOKEN_VERSION)}`;
+}
+
+function decryptV1(body, now) {
+    try {
+        return unseal(body, TOKEN_VERSION, now).config;
+    } catch (error) {
+        if (error.code === 'expired') {
+            throw new ConfigTokenError('expired', 'Configuration token has expired, please configure the addon again');
+        }
+        if (error.code === 'invalid') {
+            throw new ConfigTokenError('invalid', 'Configuration token was modified or signed with another key');
+        }
+        throw error;
+    }
+}
+
+function decodeLegacyConfig(token, now) {
+    if (!isLegacyAllowed(now)) {
+        throw new ConfigTokenError('legacy', 'Unencrypted configuration URLs are no longer supported, please configure the addon again');
+    }
+    try {
+        const config = JSON.parse(Buffer.from(token, 'base64').toString('utf-8'));
+        if (config && typeof config === 'object') {
+            return config;
+        }
+    } catch (error) {
+        // Reported below
+    }
+    throw new ConfigTokenError('malformed', 'Configuration token is malformed');
+}
+
+// Returns { config, legacy } or throws a ConfigTokenError
+function decodeConfigToken(token, now = Date.now()) {
+    if (!token) {
+        throw new ConfigTokenError('missing', 'No configuration provided');
+    }
+
+    const separator = token.indexOf('.');
+    const version = separator > 0 ? token.substring(0, separator) : null;
+
+    if (version === TOKEN_VERSION) {
+        return { config: decryptV1(token.substring(separator + 1), now), legacy: false };
+    }
+    if (version && /^v\d+$/.test(version)) {
+        throw new ConfigTokenError('version', `Unsupported configuration token version ${version}`);
+    }
+    return { config: decodeLegacyConfig(token, now), legacy: true };
+}
+
+// Play tokens name the file a stream URL plays; they are short-lived like stream lists
+function encodePlayToken(file, now = Date.now()) {
+    return seal({ file, exp: now + PLAY_TOKEN_TTL }, PLAY_TOKEN_AAD);
+}
+
+function decodePlayToken(token, now = Date.now()) {
+    if (!token) {
+        throw new ConfigTokenError('missing', 'No play token provided');
+    }
+    return unseal(token, PLAY_TOKEN_AAD, now).file;
+}
+
+module.exports = {
+    ConfigTokenError,
+    hasConfigSecret,
+    encodeConfigToken,
+    decodeConfigToken,
+    encodePlayToken,
+    decodePlayToken,
+    hashCredentials
+};
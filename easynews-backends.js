@@ -0,0 +1,321 @@
+const fetch = require('node-fetch');
+const winston = require('winston');
+const { parseRssFeed } = require('./rss-parser');
+const { getFilterParams } = require('./search-filters');
+
+// Logger configuration
+const logger = winston.createLogger({
+    level: 'debug',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.printf(({ level, message, timestamp }) => {
+            return `${timestamp} ${level}: ${message}`;
+        })
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'combined.log' })
+    ]
+});
+
+// A backend fetches one page of a search from Easynews and returns
+// { entries, hasMore, totalResults }, where each entry has the shape
+// { url, filename, fileSize, subject, poster, newsgroup, postDate, duration,
+//   videoCodec, audioCodec, fileHash, audioLanguageCodes, subtitleLanguageCodes,
+//   resolution, runtime }.
+// EasynewsSearcher turns those into results, so both backends look the same to addon.js.
+// `filters` passed to fetchSearch apply on top of the user's filters for that one
+// search, e.g. a minimum resolution for the 4K catalog.
+class EasynewsBackend {
+    constructor(username, password, filters = {}) {
+        this.username = username;
+        this.password = password;
+        this.filterParams = getFilterParams(filters);
+    }
+
+    getAuthHeader() {
+        return `Basic ${Buffer.from(`${this.username}:${this.password}`).toString('base64')}`;
+    }
+
+    async fetchSearch(searchTerm, { page = 1, pageSize = 100, filters = {} } = {}) {
+        throw new Error(`${this.constructor.name} does not implement fetchSearch`);
+    }
+
+    decodeHTMLEntities(text) {
+        return text.replace(/&([^;]+);/g, (match, entity) => {
+            const entities = {
+                'amp': '&',
+                'apos': "'",
+                'lt': '<',
+                'gt': '>',
+                'quot': '"',
+                'nbsp': ' '
+            };
+
+            if (entity.startsWith('#')) {
+                const code = parseInt(entity.substring(1));
+                return isNaN(code) ? match : String.fromCharCode(code);
+            }
+
+            return entities[entity] || match;
+        });
+    }
+
+    // Sizes are passed on as text like "1.50 GB", which is what EasynewsSearcher reads
+    formatBytes(bytes) {
+        return `${(bytes / (1024 ** 3)).toFixed(2)} GB`;
+    }
+
+    parseDate(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+}
+
+class RssBackend extends EasynewsBackend {
+    getSearchUrl(searchTerm, page, pageSize, filters = {}) {
+        // Every slot of the advanced search form is sent, empty unless a filter fills it
+        const params = new URLSearchParams({
+            submit: 'Search', gps: '', sbj: '', from: '', ns: '', fil: searchTerm, fex: '', vc: '', ac: '',
+            'fty[]': 'VIDEO', s1: 'dtime', s1d: '-', s2: 'nsubject', s2d: '+', s3: 'nrfile', s3d: '+',
+            pby: String(pageSize), pno: String(page), sS: '5', u: '1', svL: '',
+            d1: '', d1t: '', d2: '', d2t: '', b1: '', b1t: '', b2: '', b2t: '',
+            px1: '', px1t: '', px2: '', px2t: '', fps1: '', fps1t: '', fps2: '', fps2t: '',
+            bps1: '', bps1t: '', bps2: '', bps2t: '', hz1: '', hz1t: '', hz2: '', hz2t: '',
+            rn1: '', rn1t: '', rn2: '', rn2t: '', fly: '1',
+            ...this.filterParams,
+            ...getFilterParams(filters)
+        });
+        return `https://members.easynews.com/1.0/global5/search.html?${params.toString()}`;
+    }
+
+    async fetchSearch(searchTerm, { page = 1, pageSize = 100, filters = {} } = {}) {
+        const url = this.getSearchUrl(searchTerm, page, pageSize, filters);
+        logger.debug(`Fetching RSS feed from URL: ${url}`);
+        const response = await fetch(url, {
+            headers: {
+                'Authorization': this.getAuthHeader(),
+            },
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const items = await parseRssFeed(response.body);
+        return {
+            entries: items.map(item => this.toEntry(item)).filter(Boolean),
+            // The feed carries no result count, so a full page means there may be more
+            hasMore: items.length >= pageSize,
+            totalResults: null
+        };
+    }
+
+    parseDescription(html) {
+        // The item description is an HTML table of "Label: value" cells
+        const details = {};
+        const text = this.decodeHTMLEntities(
+            html.replace(/<br\s*\/?>/gi, '\n')
+                .replace(/<\/(?:td|th|tr|p|div|li)>/gi, '\n')
+                .replace(/<[^>]+>/g, ' ')
+        );
+
+        const labels = {
+            subject: /^subject$/i,
+            poster: /^(?:poster|from|author)$/i,
+            newsgroup: /^(?:group|groups|newsgroup|newsgroups)$/i,
+            postDate: /^(?:date|posted|post date)$/i,
+            duration: /^(?:duration|runtime|length)$/i,
+            videoCodec: /^(?:video|video codec|vcodec)$/i,
+            audioCodec: /^(?:audio|audio codec|acodec)$/i,
+            fileHash: /^(?:hash|file hash|sig)$/i,
+            size: /^size$/i
+        };
+
+        for (const line of text.split('\n')) {
+            const match = line.match(/^\s*([A-Za-z][A-Za-z ]*?)\s*:\s*(.+?)\s*$/);
+            if (!match) continue;
+            for (const [key, pattern] of Object.entries(labels)) {
+                if (!details[key] && pattern.test(match[1])) {
+                    details[key] = match[2].replace(/\s+/g, ' ');
+                }
+            }
+        }
+
+        return details;
+    }
+
+    // Flags in a cell labelled "Subtitles"/"Subs" are subtitle languages, all other flags audio
+    extractFlagCodes(html) {
+        const audio = new Set();
+        const subtitles = new Set();
+
+        for (const segment of html.split(/<br\s*\/?>|<\/(?:td|th|tr|p|div|li)>/i)) {
+            const isSubtitles = /\bsub(?:s|title|titles)?\b/i.test(segment.replace(/<[^>]+>/g, ' '));
+            for (const match of segment.matchAll(/flags\/16\/([^.]+)\.png/g)) {
+                (isSubtitles ? subtitles : audio).add(match[1].toLowerCase());
+            }
+        }
+
+        return { audio: Array.from(audio), subtitles: Array.from(subtitles) };
+    }
+
+    extractFileHash(url) {
+        const hashMatch = url.match(/\/([0-9a-f]{32,64})(?:\.[a-z0-9]+)?\//i);
+        return hashMatch ? hashMatch[1].toLowerCase() : null;
+    }
+
+    toEntry(item) {
+        const { fields, enclosure } = item;
+
+        const url = enclosure?.url || fields.link;
+        if (!url) return null;
+
+        const description = fields.description || '';
+        const details = this.parseDescription(description);
+
+        // Get filename from URL
+        const filenameMatch = url.match(/\/([^\/]+\.(?:mkv|mp4|avi|ts))(?:\?|$)/i);
+        if (!filenameMatch) return null;
+
+        const { audio, subtitles } = this.extractFlagCodes(description);
+
+        return {
+            url,
+            filename: this.decodeHTMLEntities(decodeURIComponent(filenameMatch[1])),
+            // The enclosure length is usually a size like "8.74 GB", sometimes a byte count
+            fileSize: (/^\d+$/.test(enclosure?.length || '') ? this.formatBytes(parseInt(enclosure.length)) : enclosure?.length) ||
+                details.size || '0 B',
+            subject: fields.title || details.subject || null,
+            poster: fields.author || fields['dc:creator'] || details.poster || null,
+            newsgroup: fields.category || details.newsgroup || null,
+            postDate: this.parseDate(fields.pubdate) || this.parseDate(details.postDate),
+            duration: details.duration || null,
+            videoCodec: details.videoCodec || null,
+            audioCodec: details.audioCodec || null,
+            fileHash: details.fileHash || this.extractFileHash(url) ||
+                (fields.guid ? this.extractFileHash(fields.guid) : null),
+            audioLanguageCodes: audio,
+            subtitleLanguageCodes: subtitles,
+            resolution: null,
+            runtime: null
+        };
+    }
+}
+
+// Easynews solr search API. Rows are keyed by column number; the named keys
+// (rawSize, runtime, height, alangs, ...) are only present in this backend.
+const JSON_COLUMNS = {
+    hash: '0',
+    size: '4',
+    postDate: '5',
+    subject: '6',
+    poster: '7',
+    newsgroup: '9',
+    filename: '10',
+    extension: '11',
+    videoCodec: '12',
+    duration: '14',
+    audioCodec: '18'
+};
+
+class JsonBackend extends EasynewsBackend {
+    getSearchUrl(searchTerm, page, pageSize, filters = {}) {
+        const params = new URLSearchParams({
+            fly: '2',
+            sb: '1',
+            pno: String(page),
+            pby: String(pageSize),
+            u: '1',
+            chxu: '1',
+            chxgx: '1',
+            st: 'adv',
+            gps: '',
+            fil: searchTerm,
+            safeO: '0',
+            s1: 'dtime',
+            s1d: '-',
+            s2: 'nrfile',
+            s2d: '+',
+            'fty[]': 'VIDEO',
+            ...this.filterParams,
+            ...getFilterParams(filters)
+        });
+        return `https://members.easynews.com/2.0/search/solr-search/?${params.toString()}`;
+    }
+
+    async fetchSearch(searchTerm, { page = 1, pageSize = 100, filters = {} } = {}) {
+        const url = this.getSearchUrl(searchTerm, page, pageSize, filters);
+        logger.debug(`Fetching JSON search from URL: ${url}`);
+        const response = await fetch(url, {
+            headers: {
+                'Authorization': this.getAuthHeader(),
+                'Accept': 'application/json'
+            },
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (!data || !Array.isArray(data.data)) {
+            throw new Error('Invalid JSON search response');
+        }
+
+        const numPages = parseInt(data.numPages);
+        return {
+            entries: data.data.map(row => this.toEntry(row, data)).filter(Boolean),
+            hasMore: isNaN(numPages) ? data.data.length >= pageSize : page < numPages,
+            totalResults: parseInt(data.results) || null
+        };
+    }
+
+    toEntry(row, data) {
+        if (row.passwd || row.virus || (row.type && row.type !== 'VIDEO')) {
+            return null;
+        }
+
+        const hash = row[JSON_COLUMNS.hash];
+        const name = row[JSON_COLUMNS.filename];
+        const extension = row[JSON_COLUMNS.extension] || '';
+        if (!hash || !name) return null;
+
+        const filename = `${name}${extension}`;
+        const url = `${data.downURL}/${data.dlFarm}/${data.dlPort}/${hash}${extension}/${encodeURIComponent(filename)}`;
+        const height = parseInt(row.height);
+
+        return {
+            url,
+            filename,
+            fileSize: row[JSON_COLUMNS.size] || (row.rawSize ? this.formatBytes(row.rawSize) : '0 B'),
+            subject: row[JSON_COLUMNS.subject] || null,
+            poster: row[JSON_COLUMNS.poster] || null,
+            newsgroup: row[JSON_COLUMNS.newsgroup] || null,
+            postDate: this.parseDate(row.ts) || this.parseDate(row[JSON_COLUMNS.postDate]),
+            duration: row[JSON_COLUMNS.duration] || null,
+            videoCodec: row[JSON_COLUMNS.videoCodec] || null,
+            audioCodec: row[JSON_COLUMNS.audioCodec] || null,
+            fileHash: String(hash).toLowerCase(),
+            audioLanguageCodes: Array.isArray(row.alangs) ? row.alangs.map(code => String(code).toLowerCase()) : [],
+            subtitleLanguageCodes: Array.isArray(row.slangs) ? row.slangs.map(code => String(code).toLowerCase()) : [],
+            resolution: isNaN(height) ? null : height,
+            runtime: row.runtime ? parseInt(row.runtime) : null
+        };
+    }
+}
+
+const BACKENDS = {
+    rss: RssBackend,
+    json: JsonBackend
+};
+
+function createBackend(name, username, password, filters) {
+    const Backend = BACKENDS[name];
+    if (!Backend) {
+        throw new Error(`Unknown Easynews backend: ${name}`);
+    }
+    return new Backend(username, password, filters);
+}
+
+module.exports = { EasynewsBackend, RssBackend, JsonBackend, BACKENDS, createBackend };
@@ -1,5 +1,7 @@
-const fetch = require('node-fetch');
 const winston = require('winston');
+const { createBackend } = require('./easynews-backends');
+const { parseReleaseName } = require('./release-parser');
+const { detectLanguages } = require('./languages');
 
 // Logger configuration
 const logger = winston.createLogger({
@@ -18,47 +20,37 @@ const logger = winston.createLogger({
 });
 
 class EasynewsSearcher {
-    constructor(username, password, maxRetries = 3, retryDelay = 1000) {
+    constructor(username, password, {
+        backend = 'rss',
+        filters = {},
+        pageSize = 100,
+        maxPages = 5,
+        // Every page maxPages allows, unless a caller wants fewer results
+        maxResults = pageSize * maxPages,
+        maxRetries = 3,
+        retryDelay = 1000
+    } = {}) {
         this.username = username;
         this.password = password;
+        this.backend = createBackend(backend, username, password, filters);
+        this.pageSize = pageSize;
+        this.maxPages = maxPages;
+        this.maxResults = maxResults;
         this.maxRetries = maxRetries;
         this.retryDelay = retryDelay;
         this.maxFileSize = 100; // Maximum file size in GB
     }
 
-    getSearchUrl(searchTerm) {
-        const encodedSearchTerm = encodeURIComponent(searchTerm);
-        return `https://members.easynews.com/1.0/global5/search.html?submit=Search&gps=&sbj=&from=&ns=&fil=${encodedSearchTerm}&fex=&vc=&ac=&fty%5B%5D=VIDEO&s1=dtime&s1d=-&s2=nsubject&s2d=%2B&s3=nrfile&s3d=%2B&pby=1000&pno=1&sS=5&u=1&svL=&d1=&d1t=&d2=&d2t=&b1=&b1t=&b2=&b2t=&px1=&px1t=&px2=&px2t=&fps1=&fps1t=&fps2=&fps2t=&bps1=&bps1t=&bps2=&bps2t=&hz1=&hz1t=&hz2=&hz2t=&rn1=&rn1t=&rn2=&rn2t=&fly=1`;
-    }
-
-    detectQuality(filename) {
-        const qualityPatterns = [
-            {
-                quality: '4K',
-                patterns: [/2160p/i, /4K/i, /UHD/i, /ULTRA.?HD/i]
-            },
-            {
-                quality: '1080p',
-                patterns: [/1080[pi]/i, /FHD/i, /FULL.?HD/i]
-            },
-            {
-                quality: '720p',
-                patterns: [/720p/i, /HD(?!TV)/i]
-            },
-            {
-                quality: '480p',
-                patterns: [/480[pi]/i, /SD\b/i]
-            }
-        ];
-
-        for (const { quality, patterns } of qualityPatterns) {
-            if (patterns.some(pattern => pattern.test(filename))) {
-                return quality;
-            }
-        }
-
-        // Default quality if no match found
-        return 'SD';
+    getQualityFromRelease(release) {
+        const qualityMap = {
+            '2160p': '4K',
+            '1440p': '1080p',
+            '1080p': '1080p',
+            '720p': '720p',
+            '576p': '480p',
+            '480p': '480p'
+        };
+        return qualityMap[release.resolution] || 'SD';
     }
 
     getQualityEmoji(quality) {
@@ -72,111 +64,6 @@ class EasynewsSearcher {
         return emojiMap[quality] || '📺';
     }
 
-    detectLanguagesFromFilename(filename) {
-        const languagePatterns = {
-            'English': [
-                /\bENG\b/i,
-                /\bENGLISH\b/i,
-                /\bEN\b/i,
-                /\bDUAL[._]AUDIO\b/i
-            ],
-            'French': [
-                /\bFR\b/i,
-                /\bFRENCH\b/i,
-                /\bVFF\b/i,
-                /\bTRUEFRENCH\b/i
-            ],
-            'German': [
-                /\bGER(MAN)?\b/i,
-                /\bDEU\b/i
-            ],
-            'Spanish': [
-                /\bESP\b/i,
-                /\bSPA(NISH)?\b/i
-            ],
-            'Italian': [
-                /\bITA(LIAN)?\b/i
-            ],
-            'Multi': [
-                /\bMULTI\b/i,
-                /\bMULTILANGUAGE\b/i,
-                /\bDUAL[._]AUDIO\b/i
-            ],
-            'Nordic': [
-                /\bNORDIC\b/i,
-                /\bNORDiC\b/i
-            ]
-        };
-
-        const languages = new Set();
-        
-        for (const [language, patterns] of Object.entries(languagePatterns)) {
-            if (patterns.some(pattern => pattern.test(filename))) {
-                languages.add(language);
-            }
-        }
-
-        return Array.from(languages);
-    }
-
-    getLanguageFromCode(code) {
-        const languageMap = {
-            'us': 'English',
-            'gb': 'English',
-            'ca': 'English',
-            'au': 'English',
-            'nz': 'English',
-            'fr': 'French',
-            'de': 'German',
-            'es': 'Spanish',
-            'it': 'Italian',
-            'jp': 'Japanese',
-            'kr': 'Korean',
-            'cn': 'Chinese',
-            'ru': 'Russian',
-            'nl': 'Dutch',
-            'pl': 'Polish',
-            'se': 'Swedish',
-            'dk': 'Danish',
-            'no': 'Norwegian',
-            'fi': 'Finnish',
-            'pt': 'Portuguese',
-            'br': 'Portuguese',
-            'tr': 'Turkish',
-            'nordic': 'Nordic'
-        };
-        return languageMap[code.toLowerCase()] || code;
-    }
-
-    getLanguageEmojis(languages) {
-        const emojiMap = {
-            'English': ['🇺🇸', '🇬🇧'],
-            'French': '🇫🇷',
-            'German': '🇩🇪',
-            'Spanish': '🇪🇸',
-            'Italian': '🇮🇹',
-            'Japanese': '🇯🇵',
-            'Korean': '🇰🇷',
-            'Chinese': '🇨🇳',
-            'Russian': '🇷🇺',
-            'Dutch': '🇳🇱',
-            'Polish': '🇵🇱',
-            'Swedish': '🇸🇪',
-            'Danish': '🇩🇰',
-            'Norwegian': '🇳🇴',
-            'Finnish': '🇫🇮',
-            'Portuguese': '🇵🇹',
-            'Turkish': '🇹🇷',
-            'Nordic': '🇩🇰',
-            'Multi': '🌐'
-        };
-
-        return languages.flatMap(lang => {
-            const emoji = emojiMap[lang];
-            return Array.isArray(emoji) ? emoji : [emoji || '🏳️'];
-        });
-    }
-
     convertToGB(fileSize) {
         const size = parseFloat(fileSize);
         const unit = fileSize.split(' ')[1]?.toLowerCase() || 'gb';
@@ -190,62 +77,17 @@ class EasynewsSearcher {
         }
     }
 
-    extractFileInfo(filename) {
-        // Clean up filename
-        let cleanName = filename
-            .replace(/\.[^/.]+$/, '') // Remove extension
-            .replace(/\b(?:480p|720p|1080[pi]|2160p|4k|uhd|hdr|bluray|webrip|web-dl|webdl|web)\b.*$/i, '')
-            .replace(/\./g, ' ')
-            .replace(/-/g, ' ')
-            .trim();
-
-        // Extract year
-        const yearMatch = cleanName.match(/\b(?:19|20)\d{2}\b/);
-        const year = yearMatch ? parseInt(yearMatch[0]) : null;
-        if (year) {
-            cleanName = cleanName.replace(yearMatch[0], '').trim();
-        }
-
-        // Extract season/episode
-        const seasonEpMatch = cleanName.match(/S(\d{1,2})E(\d{1,2})/i);
-        const season = seasonEpMatch ? parseInt(seasonEpMatch[1]) : null;
-        const episode = seasonEpMatch ? parseInt(seasonEpMatch[2]) : null;
-
-        if (season && episode) {
-            cleanName = cleanName.replace(/S\d{1,2}E\d{1,2}/i, '').trim();
-        }
-
-        // Clean title
-        cleanName = cleanName
-            .replace(/\[.*?\]/g, '')
-            .replace(/\(.*?\)/g, '')
-            .replace(/\s+/g, ' ')
-            .trim();
-
-        return {
-            title: cleanName,
-            year,
-            season,
-            episode
-        };
+    getQualityFromResolution(height) {
+        if (height >= 2160) return '4K';
+        if (height >= 1080) return '1080p';
+        if (height >= 720) return '720p';
+        if (height >= 480) return '480p';
+        return 'SD';
     }
 
-    parseXMLItem(itemXml) {
+    buildResult(entry) {
         try {
-            // Extract URL
-            const enclosureMatch = itemXml.match(/<enclosure url="([^"]+)"/);
-            if (!enclosureMatch) return null;
-            let url = enclosureMatch[1];
-            url = this.decodeHTMLEntities(url);
-
-            // Extract file size
-            const sizeMatch = itemXml.match(/length="([^"]+)"/);
-            const fileSize = sizeMatch ? this.decodeHTMLEntities(sizeMatch[1]) : '0 B';
-
-            // Get filename from URL
-            const filenameMatch = url.match(/\/([^\/]+\.(?:mkv|mp4|avi|ts))(?:\?|$)/i);
-            if (!filenameMatch) return null;
-            const filename = this.decodeHTMLEntities(decodeURIComponent(filenameMatch[1]));
+            const { filename, fileSize } = entry;
 
             // Skip sample files
             if (/(^|-|\s)sample[s]?(\.|$|\s|-)/i.test(filename)) {
@@ -261,75 +103,48 @@ class EasynewsSearcher {
             }
 
             // Extract information
-            const info = this.extractFileInfo(filename);
-
-            // Extract languages from flags
-            const flagCodes = new Set();
-            const flagMatches = itemXml.matchAll(/flags\/16\/([^.]+)\.png/g);
-            for (const match of flagMatches) {
-                flagCodes.add(match[1].toLowerCase());
-            }
+            const release = parseReleaseName(filename);
 
-            // Get languages
-            const filenameLanguages = this.detectLanguagesFromFilename(filename);
-            const flagLanguages = Array.from(flagCodes).map(code => this.getLanguageFromCode(code));
-            const allLanguages = Array.from(new Set([...flagLanguages, ...filenameLanguages]));
+            // Get audio and subtitle languages
+            const languages = detectLanguages(filename, release.title, {
+                audioCodes: entry.audioLanguageCodes,
+                subtitleCodes: entry.subtitleLanguageCodes
+            });
 
-            // Default to English for standard releases
-            if (allLanguages.length === 0 && 
-                /\b(?:BluRay|WEB-DL|WEBRip|BRRip|DVDRip)\b/i.test(filename) && 
-                !/\b(?:FRENCH|GERMAN|SPANISH|ITALIAN|NORDIC)\b/i.test(filename)) {
-                allLanguages.push('English');
-            }
-
-            // Detect quality
-            const quality = this.detectQuality(filename);
+            // Prefer the resolution reported by the backend over guessing from the filename
+            const quality = entry.resolution
+                ? this.getQualityFromResolution(entry.resolution)
+                : this.getQualityFromRelease(release);
 
             return {
                 filename,
-                linkUrl: url,
+                linkUrl: entry.url,
                 fileSize,
+                sizeGB: sizeInGB,
                 quality,
                 qualityEmoji: this.getQualityEmoji(quality),
-                languages: allLanguages,
-                languageEmojis: this.getLanguageEmojis(allLanguages),
-                ...info
+                languages,
+                subject: entry.subject,
+                poster: entry.poster,
+                newsgroup: entry.newsgroup,
+                postDate: entry.postDate,
+                duration: entry.duration,
+                videoCodec: entry.videoCodec,
+                audioCodec: entry.audioCodec,
+                fileHash: entry.fileHash,
+                runtime: entry.runtime,
+                title: release.title,
+                year: release.year,
+                season: release.season,
+                episode: release.episode,
+                release
             };
         } catch (error) {
-            logger.error(`Error parsing XML item: ${error.message}`);
+            logger.error(`Error building result: ${error.message}`);
             return null;
         }
     }
 
-    decodeHTMLEntities(text) {
-        return text.replace(/&([^;]+);/g, (match, entity) => {
-            const entities = {
-                'amp': '&',
-                'apos': "'",
-                'lt': '<',
-                'gt': '>',
-                'quot': '"',
-                'nbsp': ' ',
-                '#046': '.',
-                '#058': ':',
-                '#047': '/',
-                '#040': '(',
-                '#041': ')',
-                '#064': '@',
-                '#037': '%',
-                '#043': '+',
-                '#061': '='
-            };
-            
-            if (entity.startsWith('#')) {
-                const code = parseInt(entity.substring(1));
-                return isNaN(code) ? match : String.fromCharCode(code);
-            }
-            
-            return entities[entity] || match;
-        });
-    }
-
     async fetchWithRetry(fetchFunction, retries = this.maxRetries) {
         try {
             return await fetchFunction();
@@ -344,41 +159,101 @@ class EasynewsSearcher {
         }
     }
 
-    async fetchEasynewsRssFeed(searchTerm) {
-        const url = this.getSearchUrl(searchTerm);
-        logger.debug(`Fetching from URL: ${url}`);
-        const response = await fetch(url, {
-            headers: {
-                'Authorization': `Basic ${Buffer.from(`${this.username}:${this.password}`).toString('base64')}`,
-            },
-        });
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        return await response.text();
+    normalizeForRelevance(text) {
+        return text
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
     }
 
-    async search(searchTerm) {
+    // Every query word must be a word of the file name. A season word ("s01" of a
+    // season query) also matches the episodes of that season: "s01e05", "s01e01e02".
+    isRelevant(result, searchTerm) {
+        const words = new Set(this.normalizeForRelevance(result.filename).split(' '));
+        const tokens = this.normalizeForRelevance(searchTerm).split(' ').filter(Boolean);
+        const isSeasonOf = (word, token) => word.startsWith(`${token}e`) && /^\d/.test(word.substring(token.length + 1));
+        return tokens.every(token => words.has(token) ||
+            (/^s\d{1,2}$/.test(token) && Array.from(words).some(word => isSeasonOf(word, token))));
+    }
+
+    // Fetches pages lazily until the result budget is met, the backend runs out of
+    // pages, maxPages is reached, or a page contains nothing relevant to the query.
+    // A failed first page is thrown; a later failure returns what was found so far
+    // with `partial` set, so callers can tell it from a complete result set.
+    async searchDetailed(searchTerm, { maxResults = this.maxResults, onProgress } = {}) {
         logger.info(`Searching Easynews for: ${searchTerm}`);
-        try {
-            const xml = await this.fetchWithRetry(() => this.fetchEasynewsRssFeed(searchTerm));
-            const itemRegex = /<item>([\s\S]*?)<\/item>/g;
-            const results = [];
-            let match;
+        const report = {
+            results: [],
+            pagesFetched: 0,
+            totalResults: null,
+            truncated: false,
+            partial: false
+        };
 
-            while ((match = itemRegex.exec(xml)) !== null) {
-                const result = this.parseXMLItem(match[1]);
+        for (let page = 1; page <= this.maxPages; page++) {
+            let response;
+            try {
+                response = await this.fetchWithRetry(
+                    () => this.backend.fetchSearch(searchTerm, { page, pageSize: this.pageSize })
+                );
+            } catch (error) {
+                logger.error(`Failed to search Easynews for: ${searchTerm} (page ${page})`, error);
+                if (page === 1) throw error;
+                report.partial = true;
+                break;
+            }
+            const { entries, hasMore, totalResults } = response;
+            report.pagesFetched = page;
+            report.totalResults = totalResults ?? report.totalResults;
+
+            let relevant = 0;
+            for (const entry of entries) {
+                const result = this.buildResult(entry);
                 if (result) {
-                    results.push(result);
+                    report.results.push(result);
+                    if (this.isRelevant(result, searchTerm)) {
+                        relevant++;
+                    }
                 }
             }
 
-            logger.info(`Found ${results.length} results`);
-            return results;
-        } catch (error) {
-            logger.error(`Failed to search Easynews for: ${searchTerm}`, error);
-            return [];
+            if (onProgress) {
+                onProgress({ page, fetched: report.results.length, relevant, totalResults: report.totalResults });
+            }
+
+            if (!hasMore) break;
+            if (relevant === 0) {
+                logger.debug(`Stopping at page ${page}: no relevant results for ${searchTerm}`);
+                break;
+            }
+            if (report.results.length >= maxResults || page === this.maxPages) {
+                report.truncated = true;
+                break;
+            }
         }
+
+        logger.info(`Found ${report.results.length} results in ${report.pagesFetched} page(s)` +
+            (report.truncated ? ' (more available)' : '') +
+            (report.partial ? ' (a later page failed)' : ''));
+        return report;
+    }
+
+    // One page of the newest posts, without a search term. Backends already sort by
+    // post date. Errors are thrown, so a failed page is not mistaken for an empty one.
+    async fetchRecent(page, filters = {}) {
+        const { entries, hasMore } = await this.fetchWithRetry(
+            () => this.backend.fetchSearch('', { page, pageSize: this.pageSize, filters })
+        );
+        const results = entries.map(entry => this.buildResult(entry)).filter(Boolean);
+        logger.info(`Fetched ${results.length} recent posts from page ${page}`);
+        return { results, hasMore };
+    }
+
+    async search(searchTerm, options) {
+        const { results } = await this.searchDetailed(searchTerm, options);
+        return results;
     }
 }
 
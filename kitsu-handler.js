@@ -0,0 +1,61 @@
+const fetch = require('node-fetch');
+const winston = require('winston');
+
+// Logger configuration
+const logger = winston.createLogger({
+    level: 'debug',
+    format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.printf(({ level, message, timestamp }) => {
+            return `${timestamp} ${level}: ${message}`;
+        })
+    ),
+    transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'error.log', level: 'error' }),
+        new winston.transports.File({ filename: 'combined.log' })
+    ]
+});
+
+const KITSU_API_URL = 'https://kitsu.io/api/edge';
+
+class KitsuHandler {
+    async getMetadata(kitsuId) {
+        try {
+            logger.info(`Fetching Kitsu metadata for ID: ${kitsuId}`);
+            const response = await fetch(`${KITSU_API_URL}/anime/${encodeURIComponent(kitsuId)}`, {
+                headers: { 'Accept': 'application/vnd.api+json' }
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+
+            const { data } = await response.json();
+            if (!data || !data.attributes) {
+                throw new Error('No results found');
+            }
+
+            const { canonicalTitle, titles = {}, abbreviatedTitles = [], startDate, subtype, episodeCount } = data.attributes;
+            const title = titles.en || canonicalTitle || titles.en_jp;
+            const alternativeTitles = Array.from(new Set(
+                [canonicalTitle, titles.en, titles.en_jp, titles.en_us, ...abbreviatedTitles]
+                    .filter(alternative => alternative && alternative !== title)
+            ));
+
+            logger.info(`Successfully fetched Kitsu metadata for ${kitsuId}: ${title}`);
+            return {
+                id: kitsuId,
+                title,
+                alternativeTitles,
+                year: startDate ? new Date(startDate).getFullYear() : null,
+                type: subtype === 'movie' ? 'movie' : 'series',
+                episodeCount: episodeCount || null
+            };
+        } catch (error) {
+            logger.error(`Error fetching Kitsu metadata: ${error.message}`);
+            return null;
+        }
+    }
+}
+
+module.exports = KitsuHandler;
@@ -0,0 +1,181 @@
+// Stream label templates. "{field}" inserts a value, "{?field}...{/field}" keeps
+// its contents only when the field has a value and "{!field}...{/field}" only when
+// it has none. A literal "\n" in a template is a line break.
+//
+// This file has no dependencies because the configure page loads it too, to
+// preview templates against SAMPLE_FIELDS.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LabelTemplates = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const FIELDS = {
+        title: 'Parsed title',
+        year: 'Release year',
+        episode: 'Episode tag, e.g. S01E02',
+        quality: 'Quality bucket: 4K, 1080p, 720p, 480p or SD',
+        emoji: 'Quality emoji',
+        resolution: 'Resolution from the file name',
+        source: 'Source: REMUX, BluRay, WEB-DL, ...',
+        codec: 'Video codec',
+        hdr: 'HDR formats',
+        audio: 'Audio codec, channels and Atmos',
+        languages: 'Audio and subtitle flags',
+        languageCodes: 'Audio language codes as text, for TVs',
+        subtitles: 'Subtitle language codes',
+        size: 'File size',
+        group: 'Release group',
+        age: 'Time since posting',
+        edition: 'Edition, e.g. Extended',
+        tags: 'PROPER / REPACK',
+        filename: 'File name',
+        score: 'Ranking score'
+    };
+
+    const PRESETS = {
+        default: {
+            name: '{quality} {emoji} [{size}]',
+            description: '{filename}{?languages}\\n{languages}{/languages}'
+        },
+        compact: {
+            name: '{quality}{?hdr} {hdr}{/hdr}',
+            description: '{size}{?codec} · {codec}{/codec}{?audio} · {audio}{/audio}{?languages} · {languages}{/languages}'
+        },
+        detailed: {
+            name: 'Easynews\\n{quality} {emoji}',
+            description: '{title}{?year} ({year}){/year}{?episode} {episode}{/episode}{?edition} · {edition}{/edition}\\n' +
+                '{?source}{source} {/source}{?codec}{codec} {/codec}{?hdr}{hdr} {/hdr}{?audio}{audio}{/audio}\\n' +
+                '💾 {size}{?group} · 👥 {group}{/group}{?age} · ⏱ {age}{/age}{?tags} · {tags}{/tags}' +
+                '{?languages}\\n{languages}{/languages}'
+        },
+        // Plain text only, TV apps often draw emoji as boxes
+        tv: {
+            name: '{quality}',
+            description: '{size}{?source} {source}{/source}{?hdr} {hdr}{/hdr}{?languageCodes} {languageCodes}{/languageCodes}'
+        }
+    };
+
+    const SAMPLE_FIELDS = {
+        title: 'Dune Part Two',
+        year: '2024',
+        episode: '',
+        quality: '4K',
+        emoji: '🌟',
+        resolution: '2160p',
+        source: 'BluRay',
+        codec: 'x265',
+        hdr: 'DV HDR10',
+        audio: 'TrueHD 7.1 Atmos',
+        languages: '🔊 🇬🇧 🇫🇷 MULTI  💬 🇪🇸',
+        languageCodes: 'EN FR',
+        subtitles: 'ES',
+        size: '24.5 GB',
+        group: 'FGT',
+        age: '3d',
+        edition: '',
+        tags: 'REPACK',
+        filename: 'Dune.Part.Two.2024.2160p.BluRay.x265.DV.HDR10.TrueHD.7.1.Atmos-FGT.mkv',
+        score: '3.5'
+    };
+
+    const TOKEN_PATTERN = /\{([?!/]?)([a-zA-Z]+)\}/g;
+
+    // Parses a template into nodes; throws with every problem found
+    function parseTemplate(template) {
+        const text = String(template).replace(/\\n/g, '\n');
+        const rootNodes = [];
+        const stack = [{ field: null, nodes: rootNodes }];
+        const errors = [];
+        let lastIndex = 0;
+        let match;
+
+        TOKEN_PATTERN.lastIndex = 0;
+        while ((match = TOKEN_PATTERN.exec(text)) !== null) {
+            const current = stack[stack.length - 1];
+            if (match.index > lastIndex) {
+                current.nodes.push({ text: text.substring(lastIndex, match.index) });
+            }
+            lastIndex = TOKEN_PATTERN.lastIndex;
+
+            const [, marker, field] = match;
+            if (!FIELDS[field]) {
+                errors.push(`unknown field {${field}}`);
+                continue;
+            }
+
+            if (marker === '/') {
+                if (current.field !== field) {
+                    errors.push(`{/${field}} does not close ${current.field ? `{?${current.field}}` : 'any section'}`);
+                } else {
+                    stack.pop();
+                }
+            } else if (marker) {
+                const section = { field, inverted: marker === '!', nodes: [] };
+                current.nodes.push(section);
+                stack.push(section);
+            } else {
+                current.nodes.push({ field });
+            }
+        }
+
+        if (lastIndex < text.length) {
+            stack[stack.length - 1].nodes.push({ text: text.substring(lastIndex) });
+        }
+        for (const section of stack.slice(1)) {
+            errors.push(`{${section.inverted ? '!' : '?'}${section.field}} is never closed`);
+        }
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+        return rootNodes;
+    }
+
+    function renderNodes(nodes, fields) {
+        return nodes.map(node => {
+            if (node.text !== undefined) return node.text;
+            const value = fields[node.field];
+            const hasValue = value !== undefined && value !== null && value !== '';
+            if (!node.nodes) return hasValue ? String(value) : '';
+            return hasValue !== node.inverted ? renderNodes(node.nodes, fields) : '';
+        }).join('');
+    }
+
+    // Renders a parsed or raw template; blank lines left by empty fields are dropped
+    function renderTemplate(template, fields) {
+        const nodes = typeof template === 'string' ? parseTemplate(template) : template;
+        return renderNodes(nodes, fields)
+            .split('\n')
+            .map(line => line.replace(/[ \t]+/g, ' ').trim())
+            .filter(Boolean)
+            .join('\n');
+    }
+
+    // Templates of a user config: the preset, with nameTemplate / descriptionTemplate
+    // replacing its parts when set. Throws one error listing every problem.
+    function normalizeLabelTemplates(config) {
+        const presetName = config && config.labelPreset ? config.labelPreset : 'default';
+        const preset = PRESETS[presetName];
+        if (!preset) {
+            throw new Error(`Invalid label template: unknown preset "${presetName}"`);
+        }
+
+        const templates = {};
+        const errors = [];
+        for (const [part, key] of [['name', 'nameTemplate'], ['description', 'descriptionTemplate']]) {
+            const custom = config && typeof config[key] === 'string' && config[key].trim() ? config[key] : null;
+            try {
+                templates[part] = parseTemplate(custom || preset[part]);
+            } catch (error) {
+                errors.push(`${part}: ${error.message}`);
+            }
+        }
+        if (errors.length > 0) {
+            throw new Error(`Invalid label template: ${errors.join('; ')}`);
+        }
+        return templates;
+    }
+
+    return { FIELDS, PRESETS, SAMPLE_FIELDS, parseTemplate, renderTemplate, normalizeLabelTemplates };
+}));
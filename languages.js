@@ -0,0 +1,231 @@
+// Language detection for releases. Languages are identified by ISO 639-1 code;
+// flag images (country codes) and ISO 639-2 codes from the backends are mapped
+// onto the same codes, and filename tokens are split into audio and subtitles.
+const LANGUAGES = {
+    en: { name: 'English', emoji: '🇬🇧', codes: ['eng'], countries: ['us', 'gb', 'uk', 'ca', 'au', 'nz', 'ie'], tokens: ['ENG', 'ENGLISH'] },
+    fr: { name: 'French', emoji: '🇫🇷', codes: ['fre', 'fra'], countries: ['fr'], tokens: ['FRENCH', 'TRUEFRENCH', 'VFF', 'VFQ', 'VFI', 'VF', 'VF2', 'FRA'] },
+    de: { name: 'German', emoji: '🇩🇪', codes: ['ger', 'deu'], countries: ['de', 'at', 'ch'], tokens: ['GERMAN', 'GER', 'DEU'] },
+    es: { name: 'Spanish', emoji: '🇪🇸', codes: ['spa'], countries: ['es', 'mx', 'ar'], tokens: ['SPANISH', 'SPA', 'ESP', 'CASTELLANO', 'LATINO'] },
+    it: { name: 'Italian', emoji: '🇮🇹', codes: ['ita'], countries: ['it'], tokens: ['ITALIAN', 'ITA'] },
+    pt: { name: 'Portuguese', emoji: '🇵🇹', codes: ['por'], countries: ['pt', 'br'], tokens: ['PORTUGUESE', 'POR', 'DUBLADO'] },
+    nl: { name: 'Dutch', emoji: '🇳🇱', codes: ['dut', 'nld'], countries: ['nl', 'be'], tokens: ['DUTCH', 'FLEMISH'] },
+    sv: { name: 'Swedish', emoji: '🇸🇪', codes: ['swe'], countries: ['se'], tokens: ['SWEDISH'] },
+    da: { name: 'Danish', emoji: '🇩🇰', codes: ['dan'], countries: ['dk'], tokens: ['DANISH'] },
+    no: { name: 'Norwegian', emoji: '🇳🇴', codes: ['nor', 'nob', 'nno'], countries: ['no'], tokens: ['NORWEGIAN'] },
+    fi: { name: 'Finnish', emoji: '🇫🇮', codes: ['fin'], countries: ['fi'], tokens: ['FINNISH'] },
+    pl: { name: 'Polish', emoji: '🇵🇱', codes: ['pol'], countries: ['pl'], tokens: ['POLISH', 'PLDUB', 'LEKTOR'] },
+    ru: { name: 'Russian', emoji: '🇷🇺', codes: ['rus'], countries: ['ru'], tokens: ['RUSSIAN', 'RUS'] },
+    uk: { name: 'Ukrainian', emoji: '🇺🇦', codes: ['ukr'], countries: ['ua'], tokens: ['UKRAINIAN', 'UKR'] },
+    cs: { name: 'Czech', emoji: '🇨🇿', codes: ['cze', 'ces'], countries: ['cz'], tokens: ['CZECH'] },
+    hu: { name: 'Hungarian', emoji: '🇭🇺', codes: ['hun'], countries: ['hu'], tokens: ['HUNGARIAN', 'HUN'] },
+    ro: { name: 'Romanian', emoji: '🇷🇴', codes: ['rum', 'ron'], countries: ['ro'], tokens: ['ROMANIAN'] },
+    el: { name: 'Greek', emoji: '🇬🇷', codes: ['gre', 'ell'], countries: ['gr'], tokens: ['GREEK'] },
+    tr: { name: 'Turkish', emoji: '🇹🇷', codes: ['tur'], countries: ['tr'], tokens: ['TURKISH'] },
+    ja: { name: 'Japanese', emoji: '🇯🇵', codes: ['jpn'], countries: ['jp'], tokens: ['JAPANESE', 'JPN'] },
+    ko: { name: 'Korean', emoji: '🇰🇷', codes: ['kor'], countries: ['kr'], tokens: ['KOREAN'] },
+    zh: { name: 'Chinese', emoji: '🇨🇳', codes: ['chi', 'zho'], countries: ['cn', 'tw', 'hk'], tokens: ['CHINESE', 'MANDARIN', 'CANTONESE'] },
+    hi: { name: 'Hindi', emoji: '🇮🇳', codes: ['hin'], countries: ['in'], tokens: ['HINDI'] },
+    ar: { name: 'Arabic', emoji: '🇸🇦', codes: ['ara'], countries: ['sa', 'eg', 'ae'], tokens: ['ARABIC'] },
+    he: { name: 'Hebrew', emoji: '🇮🇱', codes: ['heb'], countries: ['il'], tokens: ['HEBREW'] },
+    th: { name: 'Thai', emoji: '🇹🇭', codes: ['tha'], countries: ['th'], tokens: ['THAI'] },
+    vi: { name: 'Vietnamese', emoji: '🇻🇳', codes: ['vie'], countries: ['vn'], tokens: ['VIETNAMESE'] }
+};
+
+// Prefixes of subtitle tags such as SWESUB, NLSUBS, ENG.SUBS
+const SUBTITLE_PREFIXES = {
+    ENG: 'en', EN: 'en', FR: 'fr', FRE: 'fr', GER: 'de', DE: 'de', SPA: 'es', ES: 'es', ITA: 'it', IT: 'it',
+    POR: 'pt', PT: 'pt', NL: 'nl', DUT: 'nl', SWE: 'sv', SE: 'sv', DAN: 'da', DK: 'da', NOR: 'no', NO: 'no',
+    FIN: 'fi', FI: 'fi', PL: 'pl', POL: 'pl', RUS: 'ru', RU: 'ru', CZ: 'cs', HUN: 'hu', TUR: 'tr', TR: 'tr',
+    GRE: 'el', KOR: 'ko', KO: 'ko', CHI: 'zh', CHS: 'zh', CHT: 'zh', HEB: 'he', ARA: 'ar', JAP: 'ja', JPN: 'ja'
+};
+
+const NORDIC_LANGUAGES = ['sv', 'da', 'no', 'fi'];
+
+const codeIndex = new Map();
+const tokenIndex = new Map();
+for (const [code, language] of Object.entries(LANGUAGES)) {
+    codeIndex.set(code, code);
+    codeIndex.set(language.name.toLowerCase(), code);
+    language.codes.forEach(other => codeIndex.set(other, code));
+    language.tokens.forEach(token => tokenIndex.set(token, code));
+}
+
+const countryIndex = new Map();
+for (const [code, language] of Object.entries(LANGUAGES)) {
+    language.countries.forEach(country => countryIndex.set(country, code));
+}
+
+// Maps an ISO 639-1/639-2 code or language name to its ISO 639-1 code
+function resolveLanguageCode(value) {
+    if (!value) return null;
+    return codeIndex.get(String(value).trim().toLowerCase()) || null;
+}
+
+// Flag images are named by country ("us", "br"); fall back to language codes
+function resolveFlagCode(value) {
+    const code = String(value).trim().toLowerCase();
+    return countryIndex.get(code) || codeIndex.get(code) || null;
+}
+
+function getLanguageName(code) {
+    return LANGUAGES[code]?.name || code;
+}
+
+function getLanguageEmoji(code) {
+    return LANGUAGES[code]?.emoji || '🏳️';
+}
+
+// Splits a release name into tokens after the title, so titles like "It" or
+// "No Time to Die" are not read as language tags
+function getTagTokens(filename, title) {
+    const tokens = filename.replace(/\.[a-z0-9]{2,4}$/i, '').toUpperCase().split(/[^A-Z0-9]+/).filter(Boolean);
+    const titleWords = (title || '').split(/\s+/).filter(Boolean).length;
+    return tokens.slice(titleWords);
+}
+
+// sources: { audioCodes, subtitleCodes } as reported by the backend; codes may be
+// language codes or flag country codes
+function detectLanguages(filename, title, sources = {}) {
+    const audio = new Set();
+    const subtitles = new Set();
+    const tokens = getTagTokens(filename, title);
+    const tags = ` ${tokens.join(' ')} `;
+
+    (sources.audioCodes || []).forEach(code => audio.add(resolveLanguageCode(code) || resolveFlagCode(code)));
+    (sources.subtitleCodes || []).forEach(code => subtitles.add(resolveLanguageCode(code) || resolveFlagCode(code)));
+
+    const hardcodedSubs = /\b(?:HC|HARDSUBS?|HARDCODED|KORSUBS?)\b/.test(tags);
+
+    tokens.forEach((token, index) => {
+        // SWESUB, NLSUBS, KORSUB
+        const subMatch = token.match(/^([A-Z]{2,3})SUBS?$/);
+        if (subMatch && SUBTITLE_PREFIXES[subMatch[1]]) {
+            subtitles.add(SUBTITLE_PREFIXES[subMatch[1]]);
+            return;
+        }
+        // ENG.SUBS, SUBS.FR
+        if (/^SUBS?$/.test(token)) {
+            const neighbour = SUBTITLE_PREFIXES[tokens[index - 1]] || SUBTITLE_PREFIXES[tokens[index + 1]];
+            if (neighbour) subtitles.add(neighbour);
+            return;
+        }
+        if (token === 'VOSTFR' || token === 'SUBFRENCH') {
+            subtitles.add('fr');
+            return;
+        }
+        if (token === 'NORDIC') {
+            NORDIC_LANGUAGES.forEach(code => subtitles.add(code));
+            return;
+        }
+        if (/^SUBS?$/.test(tokens[index + 1] || '')) {
+            return;
+        }
+        if (tokenIndex.has(token) && !subtitles.has(tokenIndex.get(token))) {
+            audio.add(tokenIndex.get(token));
+        }
+    });
+
+    audio.delete(null);
+    subtitles.delete(null);
+
+    const multi = /\bMULTI(?:LANG|LANGUAGE|\d*)\b/.test(tags) || /\bDUAL AUDIO\b/.test(tags) || audio.size > 1;
+    const subbed = /\bSUBBED\b/.test(tags) || subtitles.size > 0;
+    const dubbed = /\b(?:DUBBED|DUB|DUBLADO|PLDUB)\b/.test(tags);
+
+    // Standard scene releases without any language tag are English
+    let audioAssumed = false;
+    if (audio.size === 0 && !multi &&
+        /\b(?:BLURAY|WEB DL|WEBDL|WEBRIP|BRRIP|DVDRIP|HDTV|REMUX)\b/.test(tags)) {
+        audio.add('en');
+        audioAssumed = true;
+    }
+
+    if (hardcodedSubs && subtitles.size === 0 && /\bKORSUBS?\b/.test(tags)) {
+        subtitles.add('ko');
+    }
+
+    return {
+        audio: Array.from(audio),
+        subtitles: Array.from(subtitles),
+        audioAssumed,
+        multi,
+        subbed,
+        dubbed,
+        hardcodedSubs
+    };
+}
+
+function normalizeLanguageList(value, label, errors) {
+    if (value === undefined || value === null || String(value).trim() === '') return [];
+    const items = Array.isArray(value) ? value : String(value).split(/[,\s]+/);
+    const codes = [];
+    for (const item of items.map(entry => String(entry).trim()).filter(Boolean)) {
+        const code = resolveLanguageCode(item);
+        if (code) {
+            codes.push(code);
+        } else {
+            errors.push(`${label} contains an unknown language: ${item}`);
+        }
+    }
+    return Array.from(new Set(codes));
+}
+
+// Validates the language options of a user config
+function normalizeLanguagePreferences(config = {}) {
+    const errors = [];
+    const preferences = {
+        preferredAudio: normalizeLanguageList(config.preferredAudioLanguages, 'Preferred audio languages', errors),
+        excludedAudio: normalizeLanguageList(config.excludedAudioLanguages, 'Excluded audio languages', errors),
+        preferredSubtitles: normalizeLanguageList(config.preferredSubtitleLanguages, 'Preferred subtitle languages', errors),
+        excludedSubtitles: normalizeLanguageList(config.excludedSubtitleLanguages, 'Excluded subtitle languages', errors)
+    };
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid language preferences: ${errors.join('; ')}`);
+    }
+    return preferences;
+}
+
+// A file is excluded when all of its audio is in excluded languages, or when it
+// has hardcoded subtitles in an excluded language
+function isExcludedByLanguage(languages, preferences) {
+    const { excludedAudio, excludedSubtitles } = preferences;
+    if (excludedAudio.length > 0 && languages.audio.length > 0 && !languages.audioAssumed &&
+        languages.audio.every(code => excludedAudio.includes(code))) {
+        return true;
+    }
+    return languages.hardcodedSubs && languages.subtitles.some(code => excludedSubtitles.includes(code));
+}
+
+// 2 when a preferred audio language is present, 1 for a preferred subtitle language
+function getLanguagePreferenceScore(languages, preferences) {
+    if (preferences.preferredAudio.some(code => languages.audio.includes(code))) return 2;
+    if (preferences.preferredSubtitles.some(code => languages.subtitles.includes(code))) return 1;
+    return 0;
+}
+
+function formatLanguages(languages) {
+    const parts = [];
+    if (languages.audio.length > 0) {
+        parts.push(`🔊 ${languages.audio.map(getLanguageEmoji).join(' ')}${languages.multi ? ' MULTI' : ''}`);
+    } else if (languages.multi) {
+        parts.push('🔊 MULTI');
+    }
+    if (languages.subtitles.length > 0) {
+        parts.push(`💬 ${languages.subtitles.map(getLanguageEmoji).join(' ')}${languages.hardcodedSubs ? ' (HC)' : ''}`);
+    }
+    return parts.join('  ');
+}
+
+module.exports = {
+    LANGUAGES,
+    resolveLanguageCode,
+    resolveFlagCode,
+    getLanguageName,
+    getLanguageEmoji,
+    detectLanguages,
+    normalizeLanguagePreferences,
+    isExcludedByLanguage,
+    getLanguagePreferenceScore,
+    formatLanguages
+};
@@ -0,0 +1,206 @@
+// Metadata providers turn a Stremio id (tt..., tmdb-...) into the titles to search
+// for. TMDBHandler is one provider; LocalMetadataProvider reads a JSON mapping the
+// server operator maintains, so ids still resolve when TMDB is down or unconfigured.
+//
+// Every provider returns the same shape from getMetadata:
+//   { id, type, title, originalTitle, year, titles, searchAliases, anime, source }
+// and { airDate, absoluteEpisode } from getEpisodeInfo. getEpisodes lists a show's
+// episodes as { season, episode, title, released, overview, thumbnail }, where only
+// season and episode are always set. searchByTitle goes the other
+// way, from a title parsed out of a file name to { id, title, year } for the catalogs;
+// TMDB adds poster, background, description and genres.
+//
+// The mapping file (METADATA_MAP_FILE, default metadata-map.json) is keyed by id:
+//   { "tt0903747": { "type": "series", "title": "Breaking Bad", "year": 2008,
+//                    "aliases": ["Breaking Bad US"], "episodeCounts": [7, 13, 13, 13, 16] } }
+// The overrides file (METADATA_OVERRIDES_FILE, default metadata-overrides.json) has
+// the same keys and patches whatever a provider returned: "title", "year",
+// "originalTitle" and "anime" replace the value, "aliases" are added.
+const fs = require('fs');
+const { normalizeTitle } = require('./title-matcher');
+
+// Why metadata could not be resolved: 'not_found', 'ambiguous' (several matches of
+// the requested type), 'type_mismatch' (the id is the other type) or 'request_failed'
+class MetadataError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'MetadataError';
+        this.code = code;
+    }
+}
+
+class MetadataProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    // Resolves to normalized metadata or throws a MetadataError
+    async getMetadata(id, type, options = {}) {
+        throw new Error('getMetadata must be implemented by the metadata provider');
+    }
+
+    async getEpisodeInfo(metadata, season, episode) {
+        return { airDate: null, absoluteEpisode: null };
+    }
+
+    async getEpisodes(metadata) {
+        return [];
+    }
+
+    // Resolves to the match of a title or null when the provider cannot tell
+    async searchByTitle(title, type, year = null) {
+        return null;
+    }
+}
+
+// A JSON file that is read again whenever it changes on disk
+class JsonFile {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.data = {};
+        this.modified = null;
+    }
+
+    async read() {
+        try {
+            const { mtimeMs } = await fs.promises.stat(this.filePath);
+            if (mtimeMs !== this.modified) {
+                this.data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+                this.modified = mtimeMs;
+            }
+        } catch (error) {
+            // A missing file is an empty mapping; a broken one keeps the last good data
+            if (error.code === 'ENOENT') {
+                this.data = {};
+                this.modified = null;
+            }
+        }
+        return this.data;
+    }
+}
+
+function normalizeEntry(id, entry, source) {
+    const titles = [entry.title, entry.originalTitle, ...(entry.aliases || [])].filter(Boolean);
+    return {
+        id,
+        type: entry.type,
+        title: entry.title,
+        originalTitle: entry.originalTitle || null,
+        year: entry.year ? parseInt(entry.year) : null,
+        titles: Array.from(new Set(titles)),
+        searchAliases: entry.aliases || [],
+        anime: Boolean(entry.anime),
+        episodeCounts: entry.episodeCounts || null,
+        source
+    };
+}
+
+class LocalMetadataProvider extends MetadataProvider {
+    constructor(filePath = process.env.METADATA_MAP_FILE || 'metadata-map.json') {
+        super('local');
+        this.file = new JsonFile(filePath);
+    }
+
+    async getMetadata(id, type) {
+        const entry = (await this.file.read())[id];
+        if (!entry || !entry.title) {
+            throw new MetadataError('not_found', `${id} is not in the local metadata mapping`);
+        }
+        if (entry.type && entry.type !== type) {
+            throw new MetadataError('type_mismatch', `${id} is mapped as a ${entry.type}, not a ${type}`);
+        }
+        return normalizeEntry(id, { ...entry, type }, this.name);
+    }
+
+    // Absolute numbering from the per-season episode counts, when the mapping has them
+    async getEpisodeInfo(metadata, season, episode) {
+        if (!metadata.anime || !metadata.episodeCounts) {
+            return { airDate: null, absoluteEpisode: null };
+        }
+        const previousEpisodes = metadata.episodeCounts.slice(0, season - 1).reduce((total, count) => total + count, 0);
+        return { airDate: null, absoluteEpisode: previousEpisodes + episode };
+    }
+
+    // Numbered episodes without titles, when the mapping has episode counts
+    async getEpisodes(metadata) {
+        return (metadata.episodeCounts || []).flatMap((count, index) =>
+            Array.from({ length: count }, (item, episodeIndex) => ({ season: index + 1, episode: episodeIndex + 1 })));
+    }
+
+    // The mapped id whose title or an alias matches; a year, when both sides have
+    // one, must be within a year
+    async searchByTitle(title, type, year = null) {
+        const wanted = normalizeTitle(title);
+        const entries = Object.entries(await this.file.read());
+        const match = entries.find(([, entry]) => {
+            if (!entry || !entry.title || (entry.type && entry.type !== type)) return false;
+            if (year && entry.year && Math.abs(parseInt(entry.year) - year) > 1) return false;
+            return [entry.title, entry.originalTitle, ...(entry.aliases || [])]
+                .some(candidate => candidate && normalizeTitle(candidate) === wanted);
+        });
+        return match ? { id: match[0], title: match[1].title, year: match[1].year ? parseInt(match[1].year) : null } : null;
+    }
+}
+
+function applyOverride(metadata, override) {
+    if (!override) return metadata;
+
+    const result = { ...metadata };
+    for (const field of ['title', 'originalTitle', 'year', 'anime']) {
+        if (override[field] !== undefined) {
+            result[field] = override[field];
+        }
+    }
+    const aliases = override.aliases || [];
+    result.searchAliases = Array.from(new Set([...aliases, ...metadata.searchAliases]));
+    result.titles = Array.from(new Set([result.title, ...aliases, ...metadata.titles].filter(Boolean)));
+    return result;
+}
+
+// Asks each provider in turn and applies the overrides to the first answer
+class MetadataProviderChain extends MetadataProvider {
+    constructor(providers, overridesPath = process.env.METADATA_OVERRIDES_FILE || 'metadata-overrides.json') {
+        super(providers.map(provider => provider.name).join('+'));
+        this.providers = providers;
+        this.overrides = new JsonFile(overridesPath);
+    }
+
+    async getMetadata(id, type, options = {}) {
+        const errors = [];
+        for (const provider of this.providers) {
+            try {
+                const metadata = await provider.getMetadata(id, type, options);
+                const overrides = await this.overrides.read();
+                return applyOverride(metadata, overrides[id]);
+            } catch (error) {
+                if (!(error instanceof MetadataError)) throw error;
+                errors.push(error);
+            }
+        }
+
+        // "Ambiguous" from TMDB says more than "not in the local mapping"
+        throw errors.find(error => error.code !== 'not_found') || errors[0] ||
+            new MetadataError('not_found', `No metadata provider configured for ${id}`);
+    }
+
+    async getEpisodeInfo(metadata, season, episode) {
+        const provider = this.providers.find(item => item.name === metadata.source);
+        return provider ? provider.getEpisodeInfo(metadata, season, episode) : super.getEpisodeInfo(metadata, season, episode);
+    }
+
+    async getEpisodes(metadata) {
+        const provider = this.providers.find(item => item.name === metadata.source);
+        return provider ? provider.getEpisodes(metadata) : super.getEpisodes(metadata);
+    }
+
+    // The first provider that knows the title wins
+    async searchByTitle(title, type, year = null) {
+        for (const provider of this.providers) {
+            const match = await provider.searchByTitle(title, type, year);
+            if (match) return match;
+        }
+        return null;
+    }
+}
+
+module.exports = { MetadataError, MetadataProvider, LocalMetadataProvider, MetadataProviderChain };
@@ -0,0 +1,180 @@
+// Generated posters for catalog items without a TMDB poster. Catalog metas link to
+// /poster/<fields>.svg, where <fields> is base64url JSON of what the poster shows,
+// so the URL alone decides the image and clients may cache it for good.
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { QUALITY_ORDER, HDR_ORDER, SOURCE_ORDER } = require('./ranking');
+
+const BACKGROUND_COLORS = {
+    '4K': '#2c3e50',
+    '1080p': '#34495e',
+    '720p': '#2c3e50',
+    '480p': '#7f8c8d',
+    'SD': '#95a5a6'
+};
+
+// Only TMDB images are drawn behind the title, the route must not fetch any URL
+const ARTWORK_PATTERN = /^https:\/\/image\.tmdb\.org\/t\/p\/\w+\/[\w-]+\.(?:jpg|png)$/;
+// A poster-sized copy is plenty for a background drawn at 35% opacity
+const ARTWORK_SIZE = 'w342';
+const MAX_ARTWORK_BYTES = 512 * 1024;
+const ARTWORK_TIMEOUT = 5000;
+const MAX_TEXT_LENGTH = 200;
+const MAX_TITLE_LINE = 15;
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function bestOf(values, order) {
+    return values.reduce((best, value) => (best === null || (order[value] ?? -1) > (order[best] ?? -1) ? value : best), null);
+}
+
+// What the poster of a grouped title shows: its best resolution, HDR format and
+// source as badges, plus every quality and the number of files
+function summarizeStreams(streams) {
+    const qualities = Object.keys(QUALITY_ORDER)
+        .filter(quality => streams.some(result => result.quality === quality));
+    return {
+        qualities,
+        hdr: bestOf(streams.flatMap(result => result.release?.hdr || []), HDR_ORDER),
+        source: bestOf(streams.map(result => result.release?.source).filter(Boolean), SOURCE_ORDER),
+        sources: streams.length
+    };
+}
+
+function truncate(text) {
+    return text.length > MAX_TEXT_LENGTH ? `${text.substring(0, MAX_TEXT_LENGTH - 3)}...` : text;
+}
+
+// Path of the poster for a title; `label` is the year or episode line. Both are
+// cut to what decodePosterFields accepts. `background` is a TMDB image URL.
+function getPosterPath({ title, label, streams, background }) {
+    const fields = {
+        title: truncate(title),
+        label: truncate(label || ''),
+        ...summarizeStreams(streams),
+        background: background && ARTWORK_PATTERN.test(background) ? background : null
+    };
+    return `/poster/${Buffer.from(JSON.stringify(fields)).toString('base64url')}.svg`;
+}
+
+// Reads the fields of a poster path back. Throws one error listing every problem.
+function decodePosterFields(encoded) {
+    let fields;
+    try {
+        fields = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new Error('Invalid poster: the fields are not base64url JSON');
+    }
+    if (!fields || typeof fields !== 'object') {
+        throw new Error('Invalid poster: the fields are not an object');
+    }
+
+    const errors = [];
+    const isText = value => typeof value === 'string' && value.length <= MAX_TEXT_LENGTH;
+    if (!isText(fields.title) || !fields.title) errors.push('title must be text');
+    if (!isText(fields.label)) errors.push('label must be text');
+    if (!Array.isArray(fields.qualities) || fields.qualities.some(quality => !QUALITY_ORDER[quality])) {
+        errors.push('qualities must be known qualities');
+    }
+    if (fields.hdr !== null && !HDR_ORDER[fields.hdr]) errors.push('hdr must be a known HDR format');
+    if (fields.source !== null && SOURCE_ORDER[fields.source] === undefined) errors.push('source must be a known source');
+    if (!Number.isInteger(fields.sources) || fields.sources < 0) errors.push('sources must be a count');
+    if (fields.background === undefined) fields.background = null;
+    if (fields.background !== null && !ARTWORK_PATTERN.test(fields.background)) errors.push('background must be a TMDB image');
+    if (errors.length > 0) {
+        throw new Error(`Invalid poster: ${errors.join('; ')}`);
+    }
+
+    return fields;
+}
+
+// Up to three lines of about MAX_TITLE_LINE characters
+function wrapTitle(title) {
+    let lines = [];
+    let currentLine = '';
+    for (const word of title.split(' ')) {
+        if (currentLine && (currentLine + ' ' + word).length > MAX_TITLE_LINE) {
+            lines.push(currentLine);
+            currentLine = word;
+        } else {
+            currentLine = currentLine ? currentLine + ' ' + word : word;
+        }
+    }
+    if (currentLine) {
+        lines.push(currentLine);
+    }
+
+    if (lines.length > 3) {
+        lines = lines.slice(0, 3);
+        lines[2] += '...';
+    }
+    return lines;
+}
+
+// Rounded badges side by side, centred on the poster
+function renderBadges(labels, y) {
+    const widths = labels.map(label => 16 + label.length * 10);
+    const gap = 10;
+    let x = 150 - (widths.reduce((total, width) => total + width, 0) + gap * (labels.length - 1)) / 2;
+
+    return labels.map((label, index) => {
+        const badge = `<rect x="${x}" y="${y}" width="${widths[index]}" height="28" rx="6" fill="#000000" fill-opacity="0.55" stroke="white" stroke-opacity="0.6"/>` +
+            `<text x="${x + widths[index] / 2}" y="${y + 19}" font-family="Arial" font-size="16" font-weight="bold" fill="white" text-anchor="middle">${escapeXml(label)}</text>`;
+        x += widths[index] + gap;
+        return badge;
+    }).join('');
+}
+
+// Clients load the SVG as an image, and browsers fetch nothing external for those,
+// so the artwork is downloaded here and embedded as a data URI
+async function fetchArtwork(url) {
+    const response = await fetch(url.replace(/\/t\/p\/\w+\//, `/t/p/${ARTWORK_SIZE}/`), {
+        timeout: ARTWORK_TIMEOUT,
+        size: MAX_ARTWORK_BYTES
+    });
+    if (!response.ok) {
+        throw new Error(`TMDB answered ${response.status} for ${url}`);
+    }
+    const type = response.headers.get('content-type') || '';
+    if (!/^image\/(?:jpeg|png)$/.test(type)) {
+        throw new Error(`TMDB sent ${type || 'no content type'} for ${url}`);
+    }
+    return `data:${type};base64,${(await response.buffer()).toString('base64')}`;
+}
+
+// `artwork` is the data URI of fields.background, when it could be fetched
+function renderPoster(fields, artwork = null) {
+    const bestQuality = fields.qualities[0] || 'SD';
+    const text = (y, size, content) =>
+        `<text x="150" y="${y}" font-family="Arial" font-size="${size}" fill="white" text-anchor="middle">${escapeXml(content)}</text>`;
+
+    return [
+        '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 300 450" width="300" height="450">',
+        `<rect width="100%" height="100%" fill="${BACKGROUND_COLORS[bestQuality]}"/>`,
+        artwork
+            ? `<image href="${escapeXml(artwork)}" width="300" height="450" preserveAspectRatio="xMidYMid slice" opacity="0.35"/>`
+            : '',
+        '<circle cx="150" cy="90" r="50" fill="#e74c3c"/>',
+        `<text x="150" y="90" font-family="Arial" font-size="24" fill="white" text-anchor="middle" dominant-baseline="middle">${escapeXml(bestQuality)}</text>`,
+        renderBadges([fields.hdr, fields.source].filter(Boolean), 160),
+        ...wrapTitle(fields.title).map((line, index) => text(230 + index * 30, 24, line)),
+        text(350, 20, fields.label),
+        text(400, 16, `${fields.sources} sources`),
+        text(430, 14, fields.qualities.join(', ')),
+        '</svg>'
+    ].join('\n');
+}
+
+// A strong ETag from the image itself, so a new layout invalidates old copies
+function getPosterEtag(svg) {
+    return `"${crypto.createHash('sha1').update(svg).digest('hex').substring(0, 27)}"`;
+}
+
+module.exports = { escapeXml, getPosterPath, decodePosterFields, fetchArtwork, renderPoster, getPosterEtag };
@@ -0,0 +1,117 @@
+// Query planning. Easynews matches filenames literally, so titles with punctuation,
+// ampersands or accents often find nothing as-is. This builds the normalized
+// variants worth searching and runs them with bounded concurrency.
+const MAX_VARIANTS = 4;
+// Original and alternative titles searched besides the title itself
+const MAX_ALIASES = 2;
+const DEFAULT_CONCURRENCY = 3;
+
+const TRANSLITERATIONS = {
+    'ß': 'ss', 'æ': 'ae', 'Æ': 'AE', 'œ': 'oe', 'Œ': 'OE', 'ø': 'o', 'Ø': 'O',
+    'ł': 'l', 'Ł': 'L', 'đ': 'd', 'Đ': 'D', 'ð': 'd', 'þ': 'th', 'Þ': 'Th', 'ı': 'i'
+};
+
+function transliterate(text) {
+    return text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[ßæÆœŒøØłŁđĐðþÞı]/g, char => TRANSLITERATIONS[char]);
+}
+
+function stripPunctuation(text) {
+    return text
+        .replace(/\b((?:[A-Za-z]\.){2,})/g, acronym => acronym.replace(/\./g, '')) // S.H.I.E.L.D. -> SHIELD
+        .replace(/(^|[^\p{L}])(qu|\p{L})['’`](?=\p{L})/giu, '$1$2 ')               // d'Amelie -> d Amelie
+        .replace(/['’`]/g, '')                                                   // Marvel's -> Marvels
+        .replace(/[^\p{L}\p{N}&]+/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// S.H.I.E.L.D. -> S H I E L D, the way release names spell it
+function spaceAcronyms(text) {
+    return text.replace(/\b((?:[A-Za-z]\.){2,})/g, acronym => acronym.replace(/\./g, ' '));
+}
+
+function swapAnd(text) {
+    if (/&/.test(text)) return text.replace(/\s*&\s*/g, ' and ');
+    if (/\band\b/i.test(text)) return text.replace(/\s+and\s+/gi, ' & ');
+    return null;
+}
+
+function isSearchable(text) {
+    return Boolean(text) && /^[\x20-\x7E]+$/.test(text);
+}
+
+// Title variants in order of preference, without episode or year suffixes. The
+// title, its stripped form and the first MAX_ALIASES of the original and alternative
+// titles are always searched; the other spellings fill up to MAX_VARIANTS. Aliases
+// that only add a year ("Dune (2021)") are dropped, callers append the year.
+function generateTitleVariants(title, { originalTitle, alternativeTitles = [], year, type } = {}) {
+    const seen = new Set();
+    const add = (variants, variant) => {
+        if (!variant) return;
+        const cleaned = variant.replace(/\s+/g, ' ').trim();
+        const key = cleaned.toLowerCase();
+        if (cleaned && !seen.has(key)) {
+            seen.add(key);
+            variants.push(cleaned);
+        }
+    };
+    const searchable = variants => variants.filter(variant => variant === title || isSearchable(variant));
+
+    const base = transliterate(title);
+    const stripped = stripPunctuation(base);
+
+    const titles = [];
+    add(titles, title);
+    add(titles, stripped);
+    let aliases = 0;
+    for (const other of [originalTitle, ...alternativeTitles]) {
+        if (!other || aliases >= MAX_ALIASES) continue;
+        const otherStripped = stripPunctuation(transliterate(other));
+        const withoutYear = otherStripped.replace(/\s+(?:19|20)\d{2}$/, '');
+        if (isSearchable(otherStripped) && !seen.has(withoutYear.toLowerCase()) && !seen.has(otherStripped.toLowerCase())) {
+            add(titles, otherStripped);
+            aliases++;
+        }
+    }
+
+    const spellings = [];
+    add(spellings, stripPunctuation(spaceAcronyms(base)));
+    // Remakes and reboots are told apart by the show's first year ("Doctor Who 2005")
+    if (type === 'series' && year) {
+        add(spellings, `${stripped} ${year}`);
+    }
+    add(spellings, swapAnd(stripped));
+    add(spellings, stripped.replace(/&/g, ' '));
+    add(spellings, base);
+
+    const kept = searchable(titles);
+    return [...kept, ...searchable(spellings).slice(0, Math.max(0, MAX_VARIANTS - kept.length))];
+}
+
+// Runs worker over items with at most `limit` in flight, keeping result order
+async function runWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+
+    await Promise.all(runners);
+    return results;
+}
+
+module.exports = {
+    DEFAULT_CONCURRENCY,
+    transliterate,
+    stripPunctuation,
+    spaceAcronyms,
+    generateTitleVariants,
+    runWithConcurrency
+};
@@ -0,0 +1,143 @@
+// Stream ranking. Each ranking key turns a result into a number; the numbers are
+// scaled to 0..1 across the result set and flipped for ascending keys. Without user
+// weights the keys are compared one by one in order and the first one that differs
+// decides. With weights the scaled values are summed with them (unweighted keys
+// then weigh 2^(n-1-i)), and equal scores fall back to comparing the keys one by
+// one. Results that still tie keep the order Easynews returned.
+//
+// The user writes the ranking as "key[:asc|:desc][=weight], ...",
+// e.g. "match, resolution, size:desc=2, age:asc".
+const { getLanguagePreferenceScore } = require('./languages');
+
+const QUALITY_ORDER = { '4K': 5, '1080p': 4, '720p': 3, '480p': 2, 'SD': 1 };
+const CODEC_ORDER = { 'AV1': 4, 'x265': 3, 'x264': 2, 'VP9': 2, 'XviD': 1, 'MPEG2': 0 };
+const HDR_ORDER = { 'DV': 3, 'HDR10+': 2, 'HDR10': 1, 'HDR': 1, 'HLG': 1 };
+const SOURCE_ORDER = { 'REMUX': 7, 'BluRay': 6, 'WEB-DL': 5, 'WEB': 4, 'WEBRip': 4, 'HDTV': 3, 'DVDRip': 2, 'DVD': 2, 'CAM': 0 };
+
+// Values are "higher is better" for the default direction
+const RANKING_KEYS = {
+    resolution: { direction: 'desc', value: result => QUALITY_ORDER[result.quality] || 0 },
+    size: { direction: 'desc', value: result => result.sizeGB || 0 },
+    language: { direction: 'desc', value: (result, prefs) => getLanguagePreferenceScore(result.languages, prefs.languagePreferences) },
+    codec: { direction: 'desc', value: result => CODEC_ORDER[result.release?.videoCodec] ?? 1 },
+    hdr: { direction: 'desc', value: result => Math.max(0, ...(result.release?.hdr || []).map(format => HDR_ORDER[format] || 0)) },
+    source: { direction: 'desc', value: result => SOURCE_ORDER[result.release?.source] ?? 1 },
+    // Earlier groups in the preference list rank higher
+    group: {
+        direction: 'desc',
+        value: (result, prefs) => {
+            const group = (result.release?.group || '').toLowerCase();
+            const index = prefs.preferredGroups.indexOf(group);
+            return index === -1 ? 0 : prefs.preferredGroups.length - index;
+        }
+    },
+    // Newer posts have the larger timestamp
+    age: { direction: 'desc', value: result => (result.postDate ? new Date(result.postDate).getTime() : 0) || 0 },
+    // Strong matches always above weak ones; results without a match (catalog
+    // searches) count as fully matching
+    match: { direction: 'desc', value: result => result.match ? Number(result.match.strong) + result.match.score : 2 }
+};
+
+const DEFAULT_RANKING = 'match, language, resolution, source, size';
+
+function parseRanking(text) {
+    const keys = [];
+    const errors = [];
+
+    for (const item of String(text).split(',').map(part => part.trim()).filter(Boolean)) {
+        const match = item.match(/^([a-z]+)(?::(asc|desc))?(?:=([0-9]*\.?[0-9]+))?$/i);
+        if (!match || !RANKING_KEYS[match[1].toLowerCase()]) {
+            errors.push(`unknown ranking key "${item}"`);
+            continue;
+        }
+        const key = match[1].toLowerCase();
+        if (keys.some(entry => entry.key === key)) {
+            errors.push(`ranking key "${key}" is listed twice`);
+            continue;
+        }
+        keys.push({
+            key,
+            direction: (match[2] || RANKING_KEYS[key].direction).toLowerCase(),
+            weight: match[3] !== undefined ? parseFloat(match[3]) : null
+        });
+    }
+
+    return { keys, errors };
+}
+
+// Validates the ranking options of a user config. Throws one error listing every problem.
+function normalizeRanking(config = {}) {
+    const text = typeof config.ranking === 'string' && config.ranking.trim() ? config.ranking : DEFAULT_RANKING;
+    const { keys, errors } = parseRanking(text);
+    if (keys.length === 0 && errors.length === 0) {
+        errors.push('at least one ranking key is required');
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid ranking: ${errors.join('; ')}`);
+    }
+
+    // Without any weight the ranking is lexicographic and no key has a weight
+    const weighted = keys.some(entry => entry.weight !== null);
+    const weightedKeys = keys.map((entry, index) => ({
+        ...entry,
+        weight: weighted && entry.weight === null ? Math.pow(2, keys.length - 1 - index) : entry.weight
+    }));
+
+    const preferredGroups = (typeof config.preferredGroups === 'string' ? config.preferredGroups.split(',') : config.preferredGroups || [])
+        .map(group => String(group).trim().toLowerCase())
+        .filter(Boolean);
+
+    return { keys: weightedKeys, weighted, preferredGroups };
+}
+
+// Sorts results best first and attaches `ranking: { score, values }` to each one,
+// where values are the raw key values. The score is the weighted sum, or for a
+// lexicographic ranking the number of results ranked below.
+function rankResults(results, ranking, languagePreferences) {
+    const prefs = { preferredGroups: ranking.preferredGroups, languagePreferences };
+    const values = results.map(result =>
+        Object.fromEntries(ranking.keys.map(({ key }) => [key, RANKING_KEYS[key].value(result, prefs)])));
+
+    const bounds = Object.fromEntries(ranking.keys.map(({ key }) => {
+        const keyValues = values.map(item => item[key]);
+        return [key, { min: Math.min(...keyValues), max: Math.max(...keyValues) }];
+    }));
+
+    const scale = (key, value, direction) => {
+        const { min, max } = bounds[key];
+        if (max === min) return 0;
+        const scaled = (value - min) / (max - min);
+        return direction === 'asc' ? 1 - scaled : scaled;
+    };
+
+    const compareKeys = (a, b) => {
+        for (const { key, direction } of ranking.keys) {
+            const difference = scale(key, b.ranking.values[key], direction) - scale(key, a.ranking.values[key], direction);
+            if (difference !== 0) return difference;
+        }
+        return 0;
+    };
+
+    const ranked = results.map((result, index) => {
+        const score = ranking.weighted
+            ? ranking.keys.reduce((total, { key, direction, weight }) => total + weight * scale(key, values[index][key], direction), 0)
+            : 0;
+        return { ...result, ranking: { score: Math.round(score * 1000) / 1000, values: values[index] }, index };
+    });
+
+    ranked.sort((a, b) => (b.ranking.score - a.ranking.score) || compareKeys(a, b) || a.index - b.index);
+
+    if (!ranking.weighted) {
+        // From the worst up, so results with equal keys share the lowest score
+        for (let position = ranked.length - 1; position >= 0; position--) {
+            const next = ranked[position + 1];
+            ranked[position].ranking.score = next && compareKeys(ranked[position], next) === 0
+                ? next.ranking.score
+                : ranked.length - 1 - position;
+        }
+    }
+
+    return ranked.map(({ index, ...result }) => result);
+}
+
+module.exports = { QUALITY_ORDER, HDR_ORDER, SOURCE_ORDER, RANKING_KEYS, DEFAULT_RANKING, normalizeRanking, rankResults };
@@ -0,0 +1,254 @@
+// Scene release-name parser. Turns names like
+// "Movie.Title.2021.2160p.UHD.BluRay.REMUX.DV.HDR10.TrueHD.7.1.Atmos-GROUP.mkv"
+// into structured attributes. The title is everything before the first marker
+// (year, episode tag, resolution, source, ...).
+const RESOLUTIONS = [
+    ['2160p', /\b(?:2160[pi]|4k|uhd)\b/i],
+    ['1440p', /\b1440[pi]\b/i],
+    ['1080p', /\b1080[pi]\b/i],
+    ['720p', /\b720p\b/i],
+    ['576p', /\b576[pi]\b/i],
+    ['480p', /\b480[pi]\b/i]
+];
+
+// REMUX is checked first so "BluRay.REMUX" is reported as a remux
+const SOURCES = [
+    ['REMUX', /\bremux\b/i],
+    ['BluRay', /\b(?:blu-?ray|bdrip|brrip|bd(?:25|50|66|100)?)\b/i],
+    ['WEB-DL', /\bweb-?dl\b/i],
+    ['WEBRip', /\bweb-?rip\b/i],
+    ['WEB', /\bweb\b/i],
+    ['HDTV', /\b(?:hdtv|pdtv|dsr)\b/i],
+    ['DVDRip', /\bdvd-?rip\b/i],
+    ['DVD', /\b(?:dvd(?:r|5|9)?|ntsc|pal)\b/i],
+    ['CAM', /\b(?:cam|hdcam|telesync|hdts)\b/i]
+];
+
+const VIDEO_CODECS = [
+    ['x265', /\b(?:x265|h\.?265|hevc)\b/i],
+    ['x264', /\b(?:x264|h\.?264|avc)\b/i],
+    ['AV1', /\bav1\b/i],
+    ['VP9', /\bvp9\b/i],
+    ['XviD', /\b(?:xvid|divx)\b/i],
+    ['MPEG2', /\bmpeg-?2\b/i]
+];
+
+const HDR_FORMATS = [
+    ['DV', /\b(?:dv|dovi|dolby[ .-]?vision)\b/i],
+    ['HDR10+', /\bhdr10(?:\+|plus)/i],
+    ['HDR10', /\bhdr10\b(?!\+|plus)/i],
+    ['HLG', /\bhlg\b/i],
+    ['HDR', /\bhdr\b/i]
+];
+
+// More specific codecs first: "DTS-HD.MA" must not be reported as plain DTS
+const AUDIO_CODECS = [
+    ['TrueHD', /\btrue-?hd\b/i],
+    ['DTS-HD MA', /\bdts-?hd[ .-]?ma\b/i],
+    ['DTS:X', /\bdts[ .:-]?x\b/i],
+    ['DTS-HD', /\bdts-?hd\b/i],
+    ['DTS', /\bdts\b/i],
+    ['EAC3', /\b(?:e-?ac-?3|ddp|dd\+|ddplus)/i],
+    ['AC3', /\b(?:ac-?3|dd)(?=\d|\b)/i],
+    ['AAC', /\baac/i],
+    ['FLAC', /\bflac\b/i],
+    ['Opus', /\bopus\b/i],
+    ['MP3', /\bmp3\b/i]
+];
+
+const EDITIONS = [
+    ["Director's Cut", /\bdirector'?s[ .-]?cut\b/i],
+    ['Extended', /\bextended(?:[ .-]?(?:cut|edition))?\b/i],
+    ['Final Cut', /\bfinal[ .-]?cut\b/i],
+    ['IMAX', /\bimax\b/i],
+    ['Unrated', /\bunrated\b/i],
+    ['Theatrical', /\btheatrical\b/i],
+    ['Ultimate Edition', /\bultimate[ .-]?edition\b/i],
+    ['Special Edition', /\bspecial[ .-]?edition\b/i],
+    ['Criterion', /\bcriterion\b/i],
+    ['Remastered', /\bremastered\b/i]
+];
+
+// Trailing "-XYZ" tokens that are part of a marker rather than a release group
+const NOT_GROUPS = new Set(['dl', 'rip', 'hd', 'ma', 'x', 'cut', 'ray']);
+
+const VIDEO_EXTENSIONS = /\.(?:mkv|mp4|avi|ts|m2ts|wmv|mov|m4v|mpg|mpeg|webm)$/i;
+const YEAR_PATTERN = /(?:^|[ .\-_(\[])((?:19|20)\d{2})(?=$|[ .\-_)\]])/g;
+// S01E01, S01E01E02, S01E01-E03, S01E01-03 and three-digit episodes (S01E100)
+const EPISODE_PATTERN = /\bS(\d{1,2})[ .-]?E(\d{1,3})((?:[ .-]?E\d{1,3}|-\d{1,3})*)\b/i;
+// 1x05 and 1x05-1x06 / 1x05-06
+const CROSS_EPISODE_PATTERN = /\b(\d{1,2})x(\d{2,3})((?:-(?:\d{1,2}x)?\d{2,3})*)\b/i;
+// Season packs: S01 on its own, "Season 1", S01-S03
+const SEASON_PATTERN = /\b(?:S(\d{1,2})(?:-S?\d{1,2})?(?![ .-]?E\d)|Season[ .-]?(\d{1,2}))\b/i;
+// Fansub absolute numbering: "[Group] Title - 123v2 [1080p]", batches as "- 01-12".
+// Years are not episodes: "Title - 2049 (2017)" is a title.
+const ABSOLUTE_EPISODE_PATTERN = /\s-\s(?!(?:19|20)\d{2}(?!\d))(\d{1,4})(?:v\d)?(?:-(\d{1,4})(?:v\d)?)?(?=$|\s|[\[(])/;
+// Daily shows: Show.2024.05.01
+const AIR_DATE_PATTERN = /\b((?:19|20)\d{2})[ .-](0[1-9]|1[0-2])[ .-](0[1-9]|[12]\d|3[01])\b/;
+
+function findFirst(definitions, text) {
+    for (const [value, pattern] of definitions) {
+        if (pattern.test(text)) return value;
+    }
+    return null;
+}
+
+function findIndex(pattern, text) {
+    const match = text.match(pattern);
+    return match ? match.index : -1;
+}
+
+function stripExtension(name) {
+    return name.replace(VIDEO_EXTENSIONS, '');
+}
+
+function extractGroup(name) {
+    const match = name.match(/-([A-Za-z0-9][A-Za-z0-9_]*)(?:\[[^\]]*\])?$/);
+    if (match && !NOT_GROUPS.has(match[1].toLowerCase())) {
+        return match[1];
+    }
+    // Fansub releases lead with the group: "[Group] Title - 01"
+    const fansubMatch = name.match(/^\[([^\]]+)\]/);
+    return fansubMatch ? fansubMatch[1].trim() : null;
+}
+
+function extractAudioChannels(name) {
+    const match = name.match(/(?<![0-9])([125-7])[. ]([01])(?![0-9])/);
+    return match ? `${match[1]}.${match[2]}` : null;
+}
+
+function expandEpisodes(first, rest) {
+    const numbers = [first, ...(rest.match(/\d+(?=$|[ .-]?E|-)/gi) || []).map(number => parseInt(number))];
+    // A dash means a range (E01-E03 is 1, 2 and 3); otherwise the numbers are listed
+    if (numbers.length === 2 && rest.includes('-') && numbers[1] > numbers[0]) {
+        const episodes = [];
+        for (let episode = numbers[0]; episode <= numbers[1]; episode++) {
+            episodes.push(episode);
+        }
+        return episodes;
+    }
+    return Array.from(new Set(numbers)).sort((a, b) => a - b);
+}
+
+function parseEpisodeInfo(name) {
+    const none = { index: -1, season: null, episodes: [], absoluteEpisodes: [], seasonPack: false, airDate: null };
+
+    const episodeMatch = name.match(EPISODE_PATTERN) || name.match(CROSS_EPISODE_PATTERN);
+    if (episodeMatch) {
+        return {
+            ...none,
+            index: episodeMatch.index,
+            season: parseInt(episodeMatch[1]),
+            episodes: expandEpisodes(parseInt(episodeMatch[2]), episodeMatch[3] || '')
+        };
+    }
+
+    const absoluteMatch = name.match(ABSOLUTE_EPISODE_PATTERN);
+    if (absoluteMatch && absoluteMatch.index > 0) {
+        const first = parseInt(absoluteMatch[1]);
+        const last = absoluteMatch[2] ? parseInt(absoluteMatch[2]) : first;
+        const absoluteEpisodes = [];
+        for (let episode = first; episode <= Math.max(first, last); episode++) {
+            absoluteEpisodes.push(episode);
+        }
+        return { ...none, index: absoluteMatch.index, absoluteEpisodes };
+    }
+
+    const airDateMatch = name.match(AIR_DATE_PATTERN);
+    if (airDateMatch && airDateMatch.index > 0) {
+        return {
+            ...none,
+            index: airDateMatch.index,
+            airDate: `${airDateMatch[1]}-${airDateMatch[2]}-${airDateMatch[3]}`
+        };
+    }
+
+    const seasonMatch = name.match(SEASON_PATTERN);
+    if (seasonMatch && seasonMatch.index > 0) {
+        return {
+            ...none,
+            index: seasonMatch.index,
+            season: parseInt(seasonMatch[1] || seasonMatch[2]),
+            seasonPack: true
+        };
+    }
+
+    return none;
+}
+
+function cleanTitle(text) {
+    return text
+        .replace(/[._]/g, ' ')
+        .replace(/\[.*?\]/g, '')
+        .replace(/\(.*?\)/g, '')
+        .replace(/[\s\-([]+$/g, '')
+        .replace(/^[\s\-)\]]+/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function parseReleaseName(filename) {
+    const name = stripExtension(filename.trim()).replace(/_/g, '.');
+    const episodeInfo = parseEpisodeInfo(name);
+
+    // Markers that end the title; the earliest one wins
+    const markerIndexes = [
+        episodeInfo.index,
+        ...[RESOLUTIONS, SOURCES, VIDEO_CODECS, EDITIONS].map(definitions =>
+            Math.min(...definitions.map(([, pattern]) => findIndex(pattern, name)).filter(index => index > 0), Infinity)
+        ),
+        findIndex(/\b(?:proper|repack|multi|dual[ .-]?audio|complete)\b/i, name)
+    ].filter(index => index > 0 && index !== Infinity);
+    const firstMarker = markerIndexes.length > 0 ? Math.min(...markerIndexes) : name.length;
+
+    // The year is the last year-like token before the other markers. A year at the
+    // very start is part of the title ("1917.2019.1080p", "2012.2009.720p").
+    let year = null;
+    let yearIndex = -1;
+    for (const match of name.matchAll(YEAR_PATTERN)) {
+        const index = match.index + match[0].indexOf(match[1]);
+        if (index === 0 || index > firstMarker) continue;
+        year = parseInt(match[1]);
+        yearIndex = index;
+    }
+
+    // The year of an air date ("Show.2024.05.01") is not a release year
+    if (episodeInfo.airDate && yearIndex === episodeInfo.index) {
+        year = null;
+        yearIndex = -1;
+    }
+
+    const titleEnd = yearIndex > 0 ? Math.min(yearIndex, firstMarker) : firstMarker;
+
+    // Attributes are only read after the title, so a film called "Cam" is not a CAM
+    const tail = titleEnd > 0 ? name.substring(titleEnd) : name;
+    const hdr = HDR_FORMATS
+        .filter(([, pattern]) => pattern.test(tail))
+        .map(([format]) => format);
+
+    return {
+        title: cleanTitle(name.substring(0, titleEnd)),
+        year,
+        season: episodeInfo.season,
+        episode: episodeInfo.episodes.length > 0 ? episodeInfo.episodes[0] : null,
+        episodes: episodeInfo.episodes,
+        absoluteEpisode: episodeInfo.absoluteEpisodes.length > 0 ? episodeInfo.absoluteEpisodes[0] : null,
+        absoluteEpisodes: episodeInfo.absoluteEpisodes,
+        seasonPack: episodeInfo.seasonPack,
+        airDate: episodeInfo.airDate,
+        resolution: findFirst(RESOLUTIONS, tail),
+        source: findFirst(SOURCES, tail),
+        videoCodec: findFirst(VIDEO_CODECS, tail),
+        // Plain "HDR" is only reported when no specific format was found
+        hdr: hdr.length > 1 ? hdr.filter(format => format !== 'HDR') : hdr,
+        audioCodec: findFirst(AUDIO_CODECS, tail),
+        audioChannels: extractAudioChannels(tail),
+        atmos: /\batmos\b/i.test(tail),
+        edition: findFirst(EDITIONS, tail),
+        proper: /\b(?:proper|real)\b/i.test(tail),
+        repack: /\b(?:repack|rerip)\d?\b/i.test(tail),
+        group: extractGroup(name)
+    };
+}
+
+module.exports = { parseReleaseName };
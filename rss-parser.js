@@ -0,0 +1,108 @@
+const sax = require('sax');
+
+// Streaming RSS parser. Collects every child element of each <item> so callers
+// can read whatever the feed exposes instead of regex-scraping known fields.
+function createItem() {
+    return {
+        fields: {},
+        attributes: {},
+        enclosure: null
+    };
+}
+
+function serializeOpenTag(node) {
+    const attrs = Object.entries(node.attributes)
+        .map(([name, value]) => ` ${name}="${String(value).replace(/"/g, '&quot;')}"`)
+        .join('');
+    return `<${node.name}${attrs}${node.isSelfClosing ? ' /' : ''}>`;
+}
+
+function parseRssFeed(input) {
+    return new Promise((resolve, reject) => {
+        const parser = sax.createStream(false, { lowercase: true, trim: false });
+        const items = [];
+        let item = null;
+        let depth = 0;      // Depth relative to the current <item>
+        let field = null;   // Name of the item child being captured
+        let buffer = '';
+        const selfClosing = [];
+        let settled = false;
+
+        const fail = (error) => {
+            if (settled) return;
+            settled = true;
+            reject(new Error(`Invalid RSS feed: ${error.message}`));
+        };
+
+        parser.on('opentag', (node) => {
+            if (node.name === 'item') {
+                item = createItem();
+                depth = 0;
+                return;
+            }
+            if (!item) return;
+
+            depth++;
+            if (depth === 1) {
+                field = node.name;
+                buffer = '';
+                if (Object.keys(node.attributes).length > 0) {
+                    item.attributes[field] = { ...node.attributes };
+                }
+                if (field === 'enclosure') {
+                    item.enclosure = {
+                        url: node.attributes.url || null,
+                        length: node.attributes.length || null,
+                        type: node.attributes.type || null
+                    };
+                }
+            } else {
+                // Unescaped markup inside a field (usually <description>); keep it as HTML
+                selfClosing.push(node.isSelfClosing);
+                buffer += serializeOpenTag(node);
+            }
+        });
+
+        parser.on('text', (text) => {
+            if (item && field) buffer += text;
+        });
+
+        parser.on('cdata', (text) => {
+            if (item && field) buffer += text;
+        });
+
+        parser.on('closetag', (name) => {
+            if (name === 'item' && item) {
+                items.push(item);
+                item = null;
+                field = null;
+                return;
+            }
+            if (!item) return;
+
+            if (depth === 1) {
+                item.fields[field] = buffer.trim();
+                field = null;
+            } else if (depth > 1 && !selfClosing.pop()) {
+                buffer += `</${name}>`;
+            }
+            depth--;
+        });
+
+        parser.on('error', fail);
+        parser.on('end', () => {
+            if (settled) return;
+            settled = true;
+            resolve(items);
+        });
+
+        if (typeof input === 'string' || Buffer.isBuffer(input)) {
+            parser.end(input);
+        } else {
+            input.on('error', fail);
+            input.pipe(parser);
+        }
+    });
+}
+
+module.exports = { parseRssFeed };
@@ -0,0 +1,127 @@
+// Easynews advanced search filters. Each filter maps a config key onto one of the
+// query string slots the search endpoints already accept (b1/b2, px1/px2, ...).
+const NUMERIC_FILTERS = [
+    { key: 'minSizeMB', param: 'b1', unitParam: 'b1t', unit: 'M', title: 'Minimum file size (MB)' },
+    { key: 'maxSizeMB', param: 'b2', unitParam: 'b2t', unit: 'M', title: 'Maximum file size (MB)' },
+    { key: 'minResolution', param: 'px1', title: 'Minimum vertical resolution (e.g. 720)' },
+    { key: 'maxResolution', param: 'px2', title: 'Maximum vertical resolution (e.g. 2160)' },
+    { key: 'minFps', param: 'fps1', title: 'Minimum frame rate' },
+    { key: 'maxFps', param: 'fps2', title: 'Maximum frame rate' },
+    { key: 'minBitrate', param: 'bps1', title: 'Minimum video bitrate (kbps)' },
+    { key: 'maxBitrate', param: 'bps2', title: 'Maximum video bitrate (kbps)' }
+];
+
+const DATE_FILTERS = [
+    { key: 'postedAfter', param: 'd1', title: 'Posted after (YYYY-MM-DD)' },
+    { key: 'postedBefore', param: 'd2', title: 'Posted before (YYYY-MM-DD)' }
+];
+
+const LIST_FILTERS = [
+    { key: 'groups', param: 'gps', pattern: /^[a-z0-9][a-z0-9.+_-]*$/i, title: 'Newsgroups (comma separated)' },
+    { key: 'excludeExtensions', param: 'fex', pattern: /^[a-z0-9]{1,5}$/i, title: 'Excluded extensions (comma separated)' }
+];
+
+const RANGES = [
+    ['minSizeMB', 'maxSizeMB'],
+    ['minResolution', 'maxResolution'],
+    ['minFps', 'maxFps'],
+    ['minBitrate', 'maxBitrate'],
+    ['postedAfter', 'postedBefore']
+];
+
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+function toList(value) {
+    const items = Array.isArray(value) ? value : String(value).split(/[,\s]+/);
+    return items.map(item => String(item).trim().replace(/^\./, '')).filter(Boolean);
+}
+
+// Validates the filter options of a user config. Returns the cleaned filters and
+// throws one error listing every invalid option.
+function normalizeSearchFilters(config = {}) {
+    const filters = {};
+    const errors = [];
+
+    for (const { key, title } of NUMERIC_FILTERS) {
+        if (isBlank(config[key])) continue;
+        const value = Number(config[key]);
+        if (!Number.isFinite(value) || value < 0) {
+            errors.push(`${title} must be a non-negative number`);
+        } else {
+            filters[key] = value;
+        }
+    }
+
+    for (const { key, title } of DATE_FILTERS) {
+        if (isBlank(config[key])) continue;
+        const value = String(config[key]).trim();
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value).getTime())) {
+            errors.push(`${title} must be a valid date`);
+        } else {
+            filters[key] = value;
+        }
+    }
+
+    for (const { key, pattern, title } of LIST_FILTERS) {
+        if (isBlank(config[key])) continue;
+        const values = toList(config[key]);
+        const invalid = values.filter(value => !pattern.test(value));
+        if (invalid.length > 0) {
+            errors.push(`${title} contains invalid values: ${invalid.join(', ')}`);
+        } else if (values.length > 0) {
+            filters[key] = values;
+        }
+    }
+
+    for (const [minKey, maxKey] of RANGES) {
+        if (filters[minKey] !== undefined && filters[maxKey] !== undefined && filters[minKey] > filters[maxKey]) {
+            errors.push(`${minKey} must not be greater than ${maxKey}`);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid search filters: ${errors.join('; ')}`);
+    }
+
+    return filters;
+}
+
+// Query string values for the filter slots; empty slots are left out
+function getFilterParams(filters = {}) {
+    const params = {};
+
+    for (const { key, param, unitParam, unit } of NUMERIC_FILTERS) {
+        if (filters[key] === undefined) continue;
+        params[param] = String(filters[key]);
+        if (unitParam) {
+            params[unitParam] = unit;
+        }
+    }
+
+    for (const { key, param } of DATE_FILTERS) {
+        if (filters[key] !== undefined) {
+            params[param] = filters[key];
+        }
+    }
+
+    for (const { key, param } of LIST_FILTERS) {
+        if (filters[key] !== undefined) {
+            params[param] = filters[key].join(' ');
+        }
+    }
+
+    return params;
+}
+
+// Manifest `config` entries for every filter
+function getFilterConfigEntries() {
+    return [
+        ...NUMERIC_FILTERS.map(({ key, title }) => ({ key, type: 'number', title })),
+        ...DATE_FILTERS.map(({ key, title }) => ({ key, type: 'text', title })),
+        ...LIST_FILTERS.map(({ key, title }) => ({ key, type: 'text', title }))
+    ];
+}
+
+module.exports = { normalizeSearchFilters, getFilterParams, getFilterConfigEntries };
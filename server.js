@@ -1,6 +1,16 @@
 require('dotenv').config();
 const { getRouter } = require('stremio-addon-sdk');
 const addonInterface = require('./addon');
+const {
+    ConfigTokenError,
+    hasConfigSecret,
+    encodeConfigToken,
+    decodeConfigToken,
+    decodePlayToken
+} = require('./config-token');
+const { proxyStream } = require('./stream-proxy');
+const { decodePosterFields, fetchArtwork, renderPoster, getPosterEtag } = require('./poster');
+const { createCache, flushCaches, getCacheStats } = require('./cache');
 const express = require('express');
 const path = require('path');
 const http = require('http');
@@ -32,22 +42,28 @@ const app = express();
 app.use(express.static(path.join(__dirname, 'public')));
 app.use(express.json());
 
+// Keeps configuration tokens out of the logs
+function redactUrl(url) {
+    return url.replace(/^\/[^/]+(?=\/(?:manifest\.json|catalog|meta|stream|play)\b)/, '/[config]');
+}
+
 // Request logging middleware
 app.use((req, res, next) => {
     const startTime = Date.now();
+    const loggedUrl = redactUrl(req.url);
     
-    logger.info(`REQUEST: ${req.method} ${req.url}`, {
+    logger.info(`REQUEST: ${req.method} ${loggedUrl}`, {
         headers: req.headers,
         query: req.query,
         params: req.params,
-        path: req.path
+        path: redactUrl(req.path)
     });
 
     const oldSend = res.send;
     res.send = function(data) {
         const duration = Date.now() - startTime;
         
-        logger.info(`RESPONSE: ${req.method} ${req.url} - Status ${res.statusCode} (${duration}ms)`, {
+        logger.info(`RESPONSE: ${req.method} ${loggedUrl} - Status ${res.statusCode} (${duration}ms)`, {
             statusCode: res.statusCode,
             duration: duration,
             responseHeaders: res.getHeaders()
@@ -62,42 +78,70 @@ app.use((req, res, next) => {
 // CORS middleware
 app.use((req, res, next) => {
     res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, User-Agent');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, User-Agent, Range');
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Length, Content-Range, Accept-Ranges');
     if (req.method === 'OPTIONS') {
         return res.sendStatus(200);
     }
     next();
 });
 
-let routerCache = new Map();
-
-// Function to get or create addon router
-function getOrCreateRouter(configStr) {
-    if (!configStr) {
-        logger.warn('No configuration provided');
-        return null;
+// Routers hold functions, so they are only ever kept in memory
+const routerCache = createCache('routers', { maxEntries: 500, ttl: 6 * 60 * 60 * 1000 });
+// TMDB artwork embedded in generated posters, as data URIs
+const artworkCache = createCache('artwork', { maxEntries: 500, maxBytes: 32 * 1024 * 1024, ttl: 7 * 24 * 60 * 60 * 1000 });
+
+// Function to get or create addon router. Throws a ConfigTokenError for missing,
+// tampered, expired or retired tokens, and a plain Error for invalid settings.
+function getOrCreateRouter(configStr, baseUrl) {
+    // Decoded on every request so an expired token stops working even when cached
+    const { config, legacy } = decodeConfigToken(configStr);
+    if (legacy) {
+        logger.warn('Unencrypted configuration URL used, the user should configure the addon again');
     }
 
-    if (routerCache.has(configStr)) {
+    const cachedRouter = routerCache.get(configStr);
+    if (cachedRouter) {
         logger.debug('Using cached router for config');
-        return routerCache.get(configStr);
+        return cachedRouter;
     }
 
-    try {
-        const config = JSON.parse(Buffer.from(configStr, 'base64').toString('utf-8'));
-        logger.info('Creating new router with config', {
-            username: config.username ? '[REDACTED]' : undefined,
-            password: config.password ? '[REDACTED]' : undefined
-        });
+    logger.info('Creating new router with config', {
+        username: config.username ? '[REDACTED]' : undefined,
+        password: config.password ? '[REDACTED]' : undefined
+    });
 
-        const addonWithConfig = addonInterface.setConfiguration(config);
-        const router = getRouter(addonWithConfig);
-        
-        routerCache.set(configStr, router);
-        return router;
+    // Legacy tokens contain the plain password, so stream URLs get a fresh encrypted one
+    const configToken = legacy ? encodeConfigToken(config) : configStr;
+    const addonWithConfig = addonInterface.setConfiguration(config, { baseUrl, configToken });
+    const router = getRouter(addonWithConfig);
+
+    routerCache.set(configStr, router);
+    return router;
+}
+
+// Public address of the server, used for the stream URLs handed to players
+function getBaseUrl(req) {
+    if (process.env.PUBLIC_URL) {
+        return process.env.PUBLIC_URL.replace(/\/+$/, '');
+    }
+    const protocol = req.headers['x-forwarded-proto'] ? req.headers['x-forwarded-proto'].split(',')[0].trim() : req.protocol;
+    return `${protocol}://${req.get('host')}`;
+}
+
+// Returns the router for the request, or answers with the reason there is none
+function resolveRouter(req, res, resource) {
+    try {
+        return getOrCreateRouter(req.params.config, getBaseUrl(req));
     } catch (error) {
-        logger.error('Error creating router:', error);
+        if (error instanceof ConfigTokenError) {
+            logger.warn(`Rejected configuration for ${resource}: ${error.message}`);
+            res.status(401).json({ error: error.message, code: error.code });
+        } else {
+            logger.error(`Failed to create router for ${resource}: ${error.message}`);
+            res.status(400).json({ error: error.message });
+        }
         return null;
     }
 }
@@ -107,14 +151,67 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'configure.html'));
 });
 
+// The configure page previews stream labels with the addon's own template code
+app.get('/label-templates.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'label-templates.js'));
+});
+
 // Configure endpoint
 app.get('/configure', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'configure.html'));
 });
 
+// Turns the configure page's settings into an encrypted install token
+app.post('/api/config-token', async (req, res) => {
+    const config = req.body;
+    if (!config || typeof config !== 'object' || !config.username || !config.password) {
+        return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    try {
+        // Reject settings the addon would refuse, and TMDB keys TMDB refuses, before handing out a token.
+        // A TMDB that cannot be reached does not block saving, metadataSource says it is degraded.
+        const { metadataSource } = await addonInterface.validateConfiguration(config);
+        res.json({ token: encodeConfigToken(config), metadataSource });
+    } catch (error) {
+        logger.warn(`Rejected configuration: ${error.message}`);
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Generated catalog posters. The URL holds everything the poster shows, so it can
+// be cached for a week; Express answers 304 when the ETag still matches. Posters
+// whose artwork could not be fetched are only cached for an hour.
+app.get('/poster/:fields.svg', async (req, res) => {
+    let fields;
+    try {
+        fields = decodePosterFields(req.params.fields);
+    } catch (error) {
+        logger.warn(`Rejected poster request: ${error.message}`);
+        return res.status(400).json({ error: error.message });
+    }
+
+    let artwork = null;
+    if (fields.background) {
+        try {
+            artwork = await artworkCache.getOrSet(fields.background, () => fetchArtwork(fields.background));
+        } catch (error) {
+            logger.warn(`Drawing poster without artwork: ${error.message}`);
+        }
+    }
+
+    const svg = renderPoster(fields, artwork);
+    res.set({
+        'Content-Type': 'image/svg+xml; charset=utf-8',
+        'Cache-Control': `public, max-age=${fields.background && !artwork ? 3600 : 604800}`,
+        'ETag': getPosterEtag(svg)
+    });
+    res.send(svg);
+});
+
 // Health check endpoint
-app.get('/health', (req, res) => {
-    res.json({ status: 'ok' });
+app.get('/health', async (req, res) => {
+    res.json({ status: 'ok', metadata: await addonInterface.getMetadataStatus(), caches: getCacheStats() });
 });
 
 // Handle manifest.json specifically
@@ -123,11 +220,8 @@ app.get('/:config/manifest.json', (req, res, next) => {
         config: req.params.config ? '[REDACTED]' : undefined
     });
 
-    const router = getOrCreateRouter(req.params.config);
-    if (!router) {
-        logger.error('Failed to create router for manifest');
-        return res.status(500).json({ error: 'Invalid configuration' });
-    }
+    const router = resolveRouter(req, res, 'manifest');
+    if (!router) return;
 
     req.url = '/manifest.json';
     router(req, res, next);
@@ -141,11 +235,8 @@ app.get('/:config/catalog/:type/:id/:extra?.json', (req, res, next) => {
         extra: req.params.extra
     });
 
-    const router = getOrCreateRouter(req.params.config);
-    if (!router) {
-        logger.error('Failed to create router for catalog');
-        return res.status(500).json({ error: 'Invalid configuration' });
-    }
+    const router = resolveRouter(req, res, 'catalog');
+    if (!router) return;
 
     const url = `/catalog/${req.params.type}/${req.params.id}${req.params.extra ? '/' + req.params.extra : ''}.json`;
     req.url = url;
@@ -159,11 +250,8 @@ app.get('/:config/stream/:type/:id', (req, res, next) => {
         id: req.params.id
     });
 
-    const router = getOrCreateRouter(req.params.config);
-    if (!router) {
-        logger.error('Failed to create router for stream');
-        return res.status(500).json({ error: 'Invalid configuration' });
-    }
+    const router = resolveRouter(req, res, 'stream');
+    if (!router) return;
 
     req.url = `/stream/${req.params.type}/${req.params.id}`;
     router(req, res, next);
@@ -176,16 +264,42 @@ app.get('/:config/meta/:type/:id', (req, res, next) => {
         id: req.params.id
     });
 
-    const router = getOrCreateRouter(req.params.config);
-    if (!router) {
-        logger.error('Failed to create router for meta');
-        return res.status(500).json({ error: 'Invalid configuration' });
-    }
+    const router = resolveRouter(req, res, 'meta');
+    if (!router) return;
 
     req.url = `/meta/${req.params.type}/${req.params.id}`;
     router(req, res, next);
 });
 
+// Proxy the Easynews file of a stream, with the credentials added server-side.
+// Express also routes HEAD requests here.
+app.get('/:config/play/:token', async (req, res, next) => {
+    let config;
+    let file;
+    try {
+        config = decodeConfigToken(req.params.config).config;
+        file = decodePlayToken(req.params.token);
+    } catch (error) {
+        if (error instanceof ConfigTokenError) {
+            logger.warn(`Rejected play request: ${error.message}`);
+            return res.status(401).json({ error: error.message, code: error.code });
+        }
+        return next(error);
+    }
+
+    logger.info('Play request', {
+        method: req.method,
+        filename: file.filename,
+        range: req.headers.range
+    });
+
+    await proxyStream(req, res, file, {
+        username: config.username,
+        password: config.password,
+        logger
+    });
+});
+
 // Error handler
 app.use((err, req, res, next) => {
     logger.error('Error handling request:', err);
@@ -228,6 +342,24 @@ function startServer(port) {
     });
 }
 
+if (!process.env.TMDB_API_KEY) {
+    logger.warn('TMDB_API_KEY is not set, running without TMDB: configurations without their own TMDB key use the local metadata mapping only.');
+}
+
+if (!hasConfigSecret()) {
+    logger.warn('CONFIG_SECRET is not set, using a temporary key. Install URLs will stop working when the server restarts.');
+}
+
+// Container stops send SIGTERM, which does not run exit handlers, so the caches
+// are written before the process exits
+for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.once(signal, async () => {
+        logger.info(`Received ${signal}, writing caches to disk`);
+        await flushCaches();
+        process.exit(0);
+    });
+}
+
 startServer(9876).catch(err => {
     logger.error('Failed to start server:', err);
     process.exit(1);
@@ -0,0 +1,123 @@
+// Streams Easynews files through the addon so players never need the account
+// credentials. Range requests are forwarded as-is, which is what seeking needs.
+const fetch = require('node-fetch');
+const path = require('path');
+const { pipeline } = require('stream');
+
+// Only Easynews hosts may be fetched with the user's credentials
+const ALLOWED_HOSTS = /(?:^|\.)easynews\.com$/i;
+
+const CONTENT_TYPES = {
+    '.mkv': 'video/x-matroska',
+    '.mp4': 'video/mp4',
+    '.m4v': 'video/mp4',
+    '.avi': 'video/x-msvideo',
+    '.ts': 'video/mp2t',
+    '.m2ts': 'video/mp2t',
+    '.wmv': 'video/x-ms-wmv',
+    '.mov': 'video/quicktime',
+    '.mpg': 'video/mpeg',
+    '.mpeg': 'video/mpeg',
+    '.webm': 'video/webm'
+};
+
+const FORWARDED_HEADERS = ['content-length', 'content-range', 'accept-ranges', 'last-modified', 'etag'];
+
+function isAllowedUrl(url) {
+    try {
+        const { protocol, hostname } = new URL(url);
+        return (protocol === 'https:' || protocol === 'http:') && ALLOWED_HOSTS.test(hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+// Easynews often answers application/octet-stream; players want the real type
+function getContentType(upstreamType, filename) {
+    if (upstreamType && !/^application\/octet-stream/i.test(upstreamType)) {
+        return upstreamType;
+    }
+    return CONTENT_TYPES[path.extname(filename || '').toLowerCase()] || upstreamType || 'application/octet-stream';
+}
+
+// Pipes `file` ({ url, filename }) to the response, honouring Range and HEAD.
+// Resolves once the response is finished or the client went away.
+async function proxyStream(req, res, file, { username, password, logger }) {
+    if (!isAllowedUrl(file.url)) {
+        res.status(400).json({ error: 'Stream URL is not an Easynews download' });
+        return;
+    }
+
+    const controller = new AbortController();
+    const abortUpstream = () => controller.abort();
+    // The response closes early when the player disconnects
+    res.on('close', abortUpstream);
+
+    const headers = {
+        'Authorization': `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`,
+        'User-Agent': 'Stremio'
+    };
+    if (req.headers.range) {
+        headers['Range'] = req.headers.range;
+    }
+
+    let upstream;
+    try {
+        upstream = await fetch(file.url, { method: req.method === 'HEAD' ? 'HEAD' : 'GET', headers, signal: controller.signal });
+    } catch (error) {
+        res.removeListener('close', abortUpstream);
+        if (error.name === 'AbortError') {
+            return;
+        }
+        logger.error(`Stream proxy request failed: ${error.message}`);
+        if (!res.headersSent) {
+            res.status(502).json({ error: 'Unable to reach Easynews' });
+        }
+        return;
+    }
+
+    if (!upstream.ok) {
+        res.removeListener('close', abortUpstream);
+        controller.abort();
+        logger.warn(`Easynews answered ${upstream.status} for ${file.filename}`);
+        // 416 carries the file size the client needs to retry
+        if (upstream.status === 416 && upstream.headers.get('content-range')) {
+            res.setHeader('Content-Range', upstream.headers.get('content-range'));
+        }
+        const status = upstream.status === 401 || upstream.status === 403 ? 502 : upstream.status;
+        res.status(status).end();
+        return;
+    }
+
+    res.status(upstream.status);
+    res.setHeader('Content-Type', getContentType(upstream.headers.get('content-type'), file.filename));
+    for (const header of FORWARDED_HEADERS) {
+        const value = upstream.headers.get(header);
+        if (value) {
+            res.setHeader(header, value);
+        }
+    }
+    if (!upstream.headers.get('accept-ranges')) {
+        res.setHeader('Accept-Ranges', 'bytes');
+    }
+
+    if (req.method === 'HEAD') {
+        res.removeListener('close', abortUpstream);
+        controller.abort();
+        res.end();
+        return;
+    }
+
+    await new Promise(resolve => {
+        pipeline(upstream.body, res, (error) => {
+            res.removeListener('close', abortUpstream);
+            // Clients closing the connection mid-file is normal when seeking or stopping
+            if (error && error.name !== 'AbortError' && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+                logger.error(`Stream proxy failed for ${file.filename}: ${error.message}`);
+            }
+            resolve();
+        });
+    });
+}
+
+module.exports = { proxyStream, isAllowedUrl };
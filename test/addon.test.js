@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MovieDb } = require('moviedb-promise');
+const EasynewsSearcher = require('../easynews-searcher');
+const { MetadataProviderChain } = require('../metadata-providers');
+const { setConfiguration, validateConfiguration, getMetadataStatus } = require('../addon');
+
+// One page of search results, as the backends return it
+function createPage(filenames, hasMore = false) {
+    return {
+        entries: filenames.map(filename => ({ url: `https://example.com/${filename}`, filename, fileSize: '1 GB' })),
+        hasMore,
+        totalResults: null
+    };
+}
+
+function searchCatalog(addonInterface, search) {
+    return addonInterface.get('catalog', 'movie', 'easynews-movie-catalog', { search });
+}
+
+test('a failed search is not served from the cache once Easynews recovers', async (t) => {
+    const responses = [
+        () => { throw new Error('Easynews is down'); },
+        () => createPage(['Recovered.Movie.2020.1080p.WEB-DL.mkv'])
+    ];
+    t.mock.method(EasynewsSearcher.prototype, 'fetchWithRetry', async () => responses.shift()());
+
+    const addonInterface = setConfiguration({ username: 'outage-user', password: 'pass' });
+    assert.deepStrictEqual((await searchCatalog(addonInterface, 'Recovered Movie')).metas, []);
+    const { metas } = await searchCatalog(addonInterface, 'Recovered Movie');
+    assert.strictEqual(metas.length, 1);
+    assert.strictEqual(EasynewsSearcher.prototype.fetchWithRetry.mock.callCount(), 2);
+});
+
+test('partial results are not cached', async (t) => {
+    const responses = [
+        () => createPage(['Partial.Movie.2020.1080p.WEB-DL.mkv'], true),
+        () => { throw new Error('Easynews is down'); },
+        () => createPage(['Partial.Movie.2020.1080p.WEB-DL.mkv', 'Partial.Movie.2020.2160p.WEB-DL.mkv'])
+    ];
+    t.mock.method(EasynewsSearcher.prototype, 'fetchWithRetry', async () => responses.shift()());
+
+    const addonInterface = setConfiguration({ username: 'partial-user', password: 'pass' });
+    await searchCatalog(addonInterface, 'Partial Movie');
+    await searchCatalog(addonInterface, 'Partial Movie');
+    assert.strictEqual(EasynewsSearcher.prototype.fetchWithRetry.mock.callCount(), 3);
+});
+
+test('a wrong password does not read the account\'s cached results', async (t) => {
+    t.mock.method(EasynewsSearcher.prototype, 'fetchWithRetry', async function () {
+        if (this.password !== 'right') throw new Error('Easynews rejected the credentials');
+        return createPage(['Private.Movie.2020.1080p.WEB-DL.mkv']);
+    });
+
+    const account = setConfiguration({ username: 'scoped-user', password: 'right' });
+    assert.strictEqual((await searchCatalog(account, 'Private Movie')).metas.length, 1);
+    const impostor = setConfiguration({ username: 'scoped-user', password: 'wrong' });
+    assert.deepStrictEqual((await searchCatalog(impostor, 'Private Movie')).metas, []);
+});
+
+function failTmdbWith(t, status) {
+    t.mock.method(MovieDb.prototype, 'configuration', async () => {
+        const error = new Error(`Request failed with status code ${status}`);
+        error.response = { status };
+        throw error;
+    });
+}
+
+const TMDB_CONFIG = { username: 'user', password: 'pass', tmdbApiKey: '0123456789abcdef0123456789abcdef' };
+
+test('a TMDB key that TMDB rejects is refused', async (t) => {
+    failTmdbWith(t, 401);
+    await assert.rejects(validateConfiguration(TMDB_CONFIG), /TMDB rejected the API key/);
+});
+
+test('an unreachable TMDB accepts the config as degraded', async (t) => {
+    failTmdbWith(t, 503);
+    const { metadataSource } = await validateConfiguration(TMDB_CONFIG);
+    assert.match(metadataSource, /^tmdb \(user key\), degraded/);
+});
+
+test('the metadata status does not reveal the mapping file', async () => {
+    const status = await getMetadataStatus();
+    assert.deepStrictEqual(Object.keys(status.localMapping), ['loaded', 'entries']);
+    assert.ok(!JSON.stringify(status).includes('metadata-map.json'));
+});
+
+test('meta is only claimed for the addon\'s own ids', () => {
+    const { manifest } = setConfiguration({ username: 'user', password: 'pass' });
+    const meta = manifest.resources.find(resource => resource.name === 'meta');
+    assert.deepStrictEqual(meta.idPrefixes, ['easynews']);
+});
+
+test('a show whose catalog entry expired is searched again for its episodes', async (t) => {
+    t.mock.method(EasynewsSearcher.prototype, 'fetchWithRetry', async () =>
+        createPage(['Expired.Show.S01E01.1080p.WEB-DL.mkv', 'Expired.Show.S01E02.720p.WEB-DL.mkv']));
+
+    const addonInterface = setConfiguration({ username: 'expired-user', password: 'pass' });
+    const { meta } = await addonInterface.get('meta', 'series', 'easynews:Expired%20Show');
+    assert.strictEqual(EasynewsSearcher.prototype.fetchWithRetry.mock.callCount(), 1);
+    assert.deepStrictEqual(meta.videos.map(video => video.id), ['easynews:Expired%20Show:1:1', 'easynews:Expired%20Show:1:2']);
+});
+
+test('season packs are listed as shows, not movies', async (t) => {
+    t.mock.method(EasynewsSearcher.prototype, 'fetchWithRetry', async () =>
+        createPage(['Packed.Show.S01.1080p.BluRay.x264-GRP.mkv']));
+
+    const addonInterface = setConfiguration({ username: 'pack-user', password: 'pass' });
+    assert.deepStrictEqual((await searchCatalog(addonInterface, 'Packed Show')).metas, []);
+    const { metas } = await addonInterface.get('catalog', 'series', 'easynews-series-catalog', { search: 'Packed Show' });
+    assert.deepStrictEqual(metas.map(meta => meta.id), ['easynews:Packed%20Show']);
+    assert.match(metas[0].description, /Latest: S01\n/);
+});
+
+test('a search catalog page only matches the titles on that page', async (t) => {
+    const filenames = Array.from({ length: 60 }, (item, index) => `Paged.Movie.${index + 1}.${1960 + index}.1080p.WEB-DL.mkv`);
+    t.mock.method(EasynewsSearcher.prototype, 'fetchWithRetry', async () => createPage(filenames));
+    t.mock.method(MetadataProviderChain.prototype, 'searchByTitle', async () => null);
+
+    const addonInterface = setConfiguration({ username: 'paged-user', password: 'pass' });
+    const firstPage = await searchCatalog(addonInterface, 'Paged Movie');
+    assert.strictEqual(firstPage.metas.length, 50);
+    assert.strictEqual(firstPage.metas[0].releaseInfo, '2019');
+    assert.strictEqual(MetadataProviderChain.prototype.searchByTitle.mock.callCount(), 50);
+
+    const { metas } = await addonInterface.get('catalog', 'movie', 'easynews-movie-catalog', { search: 'Paged Movie', skip: '50' });
+    assert.deepStrictEqual(metas.map(meta => meta.releaseInfo), ['1969', '1968', '1967', '1966', '1965', '1964', '1963', '1962', '1961', '1960']);
+    assert.strictEqual(MetadataProviderChain.prototype.searchByTitle.mock.callCount(), 60);
+});
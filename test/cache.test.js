@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Cache, FileStore } = require('../cache');
+
+function createStore(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return new FileStore(path.join(dir, 'search.json'));
+}
+
+test('persisted entries are read back by a new cache', async (t) => {
+    const store = createStore(t);
+    const cache = new Cache('search', { store });
+    cache.set('query:a', ['result']);
+    cache.set('query:b', { big: 'x'.repeat(2 * 1024 * 1024) });
+    await cache.persist();
+
+    const restored = new Cache('search', { store });
+    assert.deepStrictEqual(restored.get('query:a'), ['result']);
+    assert.strictEqual(restored.get('query:b').big.length, 2 * 1024 * 1024);
+});
+
+test('the cache is only written after a change', async (t) => {
+    const store = createStore(t);
+    const save = t.mock.method(store, 'save');
+    const cache = new Cache('search', { store });
+
+    await cache.persist();
+    assert.strictEqual(save.mock.callCount(), 0);
+
+    cache.set('query:a', ['result']);
+    await Promise.all([cache.persist(), cache.persist()]);
+    assert.strictEqual(save.mock.callCount(), 1);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.CONFIG_SECRET = 'test-secret';
+delete process.env.LEGACY_CONFIG_UNTIL;
+delete process.env.CONFIG_TOKEN_TTL_DAYS;
+
+const {
+    ConfigTokenError,
+    encodeConfigToken,
+    decodeConfigToken,
+    encodePlayToken,
+    decodePlayToken
+} = require('../config-token');
+
+const CONFIG = { username: 'user', password: 'pass' };
+const DAY = 24 * 60 * 60 * 1000;
+
+function rejectsWith(code) {
+    return error => error instanceof ConfigTokenError && error.code === code;
+}
+
+// Flips one bit of the ciphertext, after the version, IV and auth tag
+function tamper(body) {
+    const data = Buffer.from(body, 'base64url');
+    data[data.length - 1] ^= 1;
+    return data.toString('base64url');
+}
+
+test('a config token decodes to its config', () => {
+    assert.deepStrictEqual(decodeConfigToken(encodeConfigToken(CONFIG)), { config: CONFIG, legacy: false });
+});
+
+test('a tampered config token is rejected', () => {
+    const token = encodeConfigToken(CONFIG);
+    assert.throws(() => decodeConfigToken(`v1.${tamper(token.substring(3))}`), rejectsWith('invalid'));
+});
+
+test('a config token signed with another secret is rejected', (t) => {
+    const token = encodeConfigToken(CONFIG);
+    t.after(() => { process.env.CONFIG_SECRET = 'test-secret'; });
+    process.env.CONFIG_SECRET = 'other-secret';
+    assert.throws(() => decodeConfigToken(token), rejectsWith('invalid'));
+});
+
+test('an expired config token is rejected', () => {
+    const now = Date.now();
+    const token = encodeConfigToken(CONFIG, now - 366 * DAY);
+    assert.throws(() => decodeConfigToken(token, now), rejectsWith('expired'));
+    assert.deepStrictEqual(decodeConfigToken(token, now - 364 * DAY).config, CONFIG);
+});
+
+test('an unsupported token version is rejected', () => {
+    const body = encodeConfigToken(CONFIG).substring(3);
+    assert.throws(() => decodeConfigToken(`v2.${body}`), rejectsWith('version'));
+});
+
+test('legacy base64 configs are only accepted until the cut-off date', () => {
+    const legacy = Buffer.from(JSON.stringify(CONFIG)).toString('base64');
+    assert.deepStrictEqual(decodeConfigToken(legacy, Date.parse('2027-03-31T23:59:59Z')), { config: CONFIG, legacy: true });
+    assert.throws(() => decodeConfigToken(legacy, Date.parse('2027-04-01T00:00:00Z')), rejectsWith('legacy'));
+});
+
+test('the legacy cut-off date can be configured', (t) => {
+    t.after(() => { delete process.env.LEGACY_CONFIG_UNTIL; });
+    process.env.LEGACY_CONFIG_UNTIL = '2020-01-01';
+    const legacy = Buffer.from(JSON.stringify(CONFIG)).toString('base64');
+    assert.throws(() => decodeConfigToken(legacy, Date.parse('2021-01-01')), rejectsWith('legacy'));
+});
+
+test('a play token decodes to its file and expires after a day', () => {
+    const now = Date.now();
+    const file = { url: 'https://members.easynews.com/dl/file.mkv' };
+    const token = encodePlayToken(file, now);
+    assert.deepStrictEqual(decodePlayToken(token, now), file);
+    assert.throws(() => decodePlayToken(token, now + DAY), rejectsWith('expired'));
+    assert.throws(() => decodePlayToken(tamper(token), now), rejectsWith('invalid'));
+});
+
+test('a play token is not accepted as a config token', () => {
+    const playToken = encodePlayToken({ url: 'https://members.easynews.com/dl/file.mkv' });
+    assert.throws(() => decodeConfigToken(`v1.${playToken}`), rejectsWith('invalid'));
+    assert.throws(() => decodeConfigToken(playToken), ConfigTokenError);
+});
+
+test('a config token is not accepted as a play token', () => {
+    const configToken = encodeConfigToken(CONFIG);
+    assert.throws(() => decodePlayToken(configToken.substring(3)), rejectsWith('invalid'));
+    assert.throws(() => decodePlayToken(configToken), ConfigTokenError);
+});
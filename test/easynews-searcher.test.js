@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EasynewsSearcher = require('../easynews-searcher');
+
+function createSearcher(pages) {
+    const searcher = new EasynewsSearcher('user', 'pass', { pageSize: 2, maxPages: 5, retryDelay: 0 });
+    const fetched = [];
+    searcher.backend.fetchSearch = async (searchTerm, { page }) => {
+        fetched.push(page);
+        const filenames = pages[page - 1] || [];
+        return {
+            entries: filenames.map(filename => ({ url: `https://example.com/${filename}`, filename, fileSize: '1 GB' })),
+            hasMore: page < pages.length,
+            totalResults: null
+        };
+    };
+    return { searcher, fetched };
+}
+
+test('season words match the episodes of that season', () => {
+    const { searcher } = createSearcher([]);
+    const result = filename => ({ filename });
+    assert.ok(searcher.isRelevant(result('Show.S01E05.1080p.mkv'), 'Show S01'));
+    assert.ok(searcher.isRelevant(result('Show.S01E01E02.1080p.mkv'), 'Show S01'));
+    assert.ok(searcher.isRelevant(result('Show.S01.1080p.mkv'), 'Show S01'));
+    assert.ok(!searcher.isRelevant(result('Show.S02E05.1080p.mkv'), 'Show S01'));
+    assert.ok(!searcher.isRelevant(result('Show.S010E05.1080p.mkv'), 'Show S01'));
+});
+
+test('a season query keeps paging through episode files', async () => {
+    const { searcher, fetched } = createSearcher([
+        ['Show.S01E01.1080p.mkv', 'Show.S01E02.1080p.mkv'],
+        ['Show.S01E03.1080p.mkv', 'Show.S01E04.1080p.mkv'],
+        ['Show.S01E05.1080p.mkv']
+    ]);
+    const report = await searcher.searchDetailed('Show S01');
+    assert.deepStrictEqual(fetched, [1, 2, 3]);
+    assert.strictEqual(report.results.length, 5);
+});
+
+test('the result budget covers every page maxPages allows', async () => {
+    const page = number => [`Show.S01E0${number}.1080p.mkv`, `Show.S01E0${number}.720p.mkv`];
+    const { searcher, fetched } = createSearcher([page(1), page(2), page(3), page(4), page(5), page(6)]);
+    const report = await searcher.searchDetailed('Show S01');
+    assert.deepStrictEqual(fetched, [1, 2, 3, 4, 5]);
+    assert.strictEqual(report.results.length, 10);
+    assert.ok(report.truncated);
+    assert.strictEqual(new EasynewsSearcher('user', 'pass', { pageSize: 100, maxPages: 20 }).maxResults, 2000);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Response } = require('node-fetch');
+
+// poster.js fetches artwork through node-fetch; here the tests answer for TMDB
+const fetchPath = require.resolve('node-fetch');
+const fetched = [];
+let respond = null;
+require.cache[fetchPath] = {
+    id: fetchPath,
+    filename: fetchPath,
+    loaded: true,
+    exports: async (url, options) => {
+        fetched.push(url);
+        return respond(url, options);
+    }
+};
+
+const { getPosterPath, decodePosterFields, fetchArtwork, renderPoster } = require('../poster');
+
+const STREAMS = [{ quality: '1080p', release: { source: 'WEB-DL', hdr: [] } }];
+
+function decodePath(posterPath) {
+    return decodePosterFields(posterPath.match(/^\/poster\/(.+)\.svg$/)[1]);
+}
+
+test('long titles and labels still make a valid poster path', () => {
+    const fields = decodePath(getPosterPath({ title: 'Very Long Release Title '.repeat(20), label: 'x'.repeat(300), streams: STREAMS }));
+    assert.strictEqual(fields.title.length, 200);
+    assert.ok(fields.title.endsWith('...'));
+    assert.strictEqual(fields.label.length, 200);
+});
+
+test('short titles are kept as they are', () => {
+    const fields = decodePath(getPosterPath({ title: 'Movie', label: '2020', streams: STREAMS }));
+    assert.strictEqual(fields.title, 'Movie');
+    assert.strictEqual(fields.label, '2020');
+});
+
+const ARTWORK = 'https://image.tmdb.org/t/p/w1280/abc123.jpg';
+const IMAGE = Buffer.from([0xff, 0xd8, 0xff, 0xe0]);
+
+test('posters without artwork load no external resources', () => {
+    const svg = renderPoster(decodePath(getPosterPath({ title: 'Movie', label: '2020', streams: STREAMS })));
+    assert.ok(!svg.includes('<image'));
+    assert.ok(!svg.includes('href'));
+});
+
+test('only TMDB images are accepted as the background', () => {
+    const withTmdb = decodePath(getPosterPath({ title: 'Movie', streams: STREAMS, background: ARTWORK }));
+    assert.strictEqual(withTmdb.background, ARTWORK);
+    const withOther = decodePath(getPosterPath({ title: 'Movie', streams: STREAMS, background: 'https://example.com/a.jpg' }));
+    assert.strictEqual(withOther.background, null);
+    const encoded = Buffer.from(JSON.stringify({ ...withTmdb, background: 'https://example.com/a.jpg' })).toString('base64url');
+    assert.throws(() => decodePosterFields(encoded), /background must be a TMDB image/);
+});
+
+test('artwork is fetched small and embedded as a data URI', async () => {
+    respond = () => new Response(IMAGE, { headers: { 'Content-Type': 'image/jpeg' } });
+    const artwork = await fetchArtwork(ARTWORK);
+    assert.strictEqual(fetched.at(-1), 'https://image.tmdb.org/t/p/w342/abc123.jpg');
+    assert.strictEqual(artwork, `data:image/jpeg;base64,${IMAGE.toString('base64')}`);
+
+    const svg = renderPoster(decodePath(getPosterPath({ title: 'Movie', streams: STREAMS, background: ARTWORK })), artwork);
+    assert.ok(svg.includes(`<image href="${artwork}"`));
+    assert.ok(!svg.includes('https://image.tmdb.org'));
+});
+
+test('artwork that is missing or not an image is refused', async () => {
+    respond = () => new Response('Not found', { status: 404 });
+    await assert.rejects(fetchArtwork(ARTWORK), /TMDB answered 404/);
+    respond = () => new Response('<html></html>', { headers: { 'Content-Type': 'text/html' } });
+    await assert.rejects(fetchArtwork(ARTWORK), /TMDB sent text\/html/);
+});
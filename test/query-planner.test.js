@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { stripPunctuation, generateTitleVariants } = require('../query-planner');
+
+test('elided articles become separate words', () => {
+    assert.strictEqual(stripPunctuation("Le Fabuleux Destin d'Amelie Poulain"), 'Le Fabuleux Destin d Amelie Poulain');
+    assert.strictEqual(stripPunctuation("L'Avventura"), 'L Avventura');
+    assert.strictEqual(stripPunctuation("Marvel's Agents"), 'Marvels Agents');
+    assert.strictEqual(stripPunctuation("Don't Look Up"), 'Dont Look Up');
+});
+
+test('the original and first alternative titles come right after the title', () => {
+    const variants = generateTitleVariants("Marvel's Agents of S.H.I.E.L.D.", {
+        originalTitle: 'Agents of SHIELD',
+        alternativeTitles: ['Agents of S.H.I.E.L.D.', 'Marvel Agents of Shield'],
+        year: 2013,
+        type: 'series'
+    });
+    assert.deepStrictEqual(variants.slice(0, 4), [
+        "Marvel's Agents of S.H.I.E.L.D.",
+        'Marvels Agents of SHIELD',
+        'Agents of SHIELD',
+        'Marvel Agents of Shield'
+    ]);
+});
+
+test('dotted acronyms are also searched letter by letter', () => {
+    const variants = generateTitleVariants('Agents of S.H.I.E.L.D.');
+    assert.ok(variants.includes('Agents of SHIELD'));
+    assert.ok(variants.includes('Agents of S H I E L D'));
+});
+
+test('aliases are capped and the list never grows past MAX_VARIANTS', () => {
+    const variants = generateTitleVariants('Dune', {
+        originalTitle: 'Dune',
+        alternativeTitles: ['Dune (2021)', 'Dune 2021', 'Dune: Part One', 'Dune Teil 1', 'Duna'],
+        year: 2021,
+        type: 'movie'
+    });
+    assert.deepStrictEqual(variants, ['Dune', 'Dune Part One', 'Dune Teil 1']);
+});
+
+test('many aliases still leave at most MAX_VARIANTS queries', () => {
+    const variants = generateTitleVariants("Marvel's Agents of S.H.I.E.L.D.", {
+        alternativeTitles: ['Agents of SHIELD', 'Marvel Agents of Shield', 'Agenten von SHIELD', 'Agents du SHIELD']
+    });
+    assert.strictEqual(variants.length, 4);
+});
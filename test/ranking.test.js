@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeRanking, rankResults } = require('../ranking');
+
+function createResult(filename, quality, source, sizeGB) {
+    return { filename, quality, sizeGB, release: { source } };
+}
+
+const REMUX_1080P = createResult('Movie.1080p.REMUX', '1080p', 'REMUX', 40);
+const WEB_4K = createResult('Movie.2160p.WEB', '4K', 'WEB', 10);
+const WEB_1080P = createResult('Movie.1080p.WEB', '1080p', 'WEB', 4);
+
+test('without weights the first ranking key decides', () => {
+    const ranking = normalizeRanking({ ranking: 'resolution, source, size' });
+    const ranked = rankResults([REMUX_1080P, WEB_1080P, WEB_4K], ranking, null);
+    assert.deepStrictEqual(ranked.map(result => result.filename), ['Movie.2160p.WEB', 'Movie.1080p.REMUX', 'Movie.1080p.WEB']);
+    assert.deepStrictEqual(ranked.map(result => result.ranking.score), [2, 1, 0]);
+});
+
+test('results with equal keys share a score and keep their order', () => {
+    const ranking = normalizeRanking({ ranking: 'resolution' });
+    const ranked = rankResults([REMUX_1080P, WEB_4K, WEB_1080P], ranking, null);
+    assert.deepStrictEqual(ranked.map(result => result.filename), ['Movie.2160p.WEB', 'Movie.1080p.REMUX', 'Movie.1080p.WEB']);
+    assert.deepStrictEqual(ranked.map(result => result.ranking.score), [2, 0, 0]);
+});
+
+test('weights trade the keys off against each other', () => {
+    const ranking = normalizeRanking({ ranking: 'resolution=1, size=3' });
+    const ranked = rankResults([WEB_4K, REMUX_1080P], ranking, null);
+    assert.deepStrictEqual(ranked.map(result => result.filename), ['Movie.1080p.REMUX', 'Movie.2160p.WEB']);
+    assert.deepStrictEqual(ranked.map(result => result.ranking.score), [3, 1]);
+});
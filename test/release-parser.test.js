@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseReleaseName } = require('../release-parser');
+
+// [filename, expected fields]; fields that are left out are not checked
+const CASES = [
+    ['Movie.Title.2021.2160p.UHD.BluRay.REMUX.DV.HDR10.TrueHD.7.1.Atmos-GROUP.mkv', {
+        title: 'Movie Title', year: 2021, season: null, episodes: [], resolution: '2160p', source: 'REMUX',
+        hdr: ['DV', 'HDR10'], audioCodec: 'TrueHD', audioChannels: '7.1', atmos: true, group: 'GROUP'
+    }],
+    // Multi-episode files
+    ['Show.Name.S01E01E02.1080p.WEB-DL.x264-GRP.mkv', { title: 'Show Name', season: 1, episode: 1, episodes: [1, 2] }],
+    ['Show.Name.S02E01-E03.720p.HDTV.x264-GRP.mkv', { title: 'Show Name', season: 2, episodes: [1, 2, 3] }],
+    ['Show.Name.S02E04-06.720p.HDTV.x264-GRP.mkv', { season: 2, episodes: [4, 5, 6] }],
+    ['Show.Name.S01E100.1080p.WEB.h264-GRP.mkv', { season: 1, episodes: [100] }],
+    // 1x05 naming
+    ['Show Name 1x05 720p HDTV.mkv', { title: 'Show Name', season: 1, episode: 5, episodes: [5] }],
+    ['Show.Name.2x05-2x06.480p.mkv', { season: 2, episodes: [5, 6] }],
+    // Daily shows by air date
+    ['Daily.Show.2024.05.01.Guest.Name.1080p.WEB.h264-GRP.mkv', {
+        title: 'Daily Show', year: null, season: null, episodes: [], airDate: '2024-05-01'
+    }],
+    // Fansub absolute numbering
+    ['[SubGroup] Anime Title - 123v2 [1080p].mkv', {
+        title: 'Anime Title', season: null, absoluteEpisode: 123, absoluteEpisodes: [123], group: 'SubGroup'
+    }],
+    ['[SubGroup] Anime Title - 01-03 [720p].mkv', { title: 'Anime Title', absoluteEpisodes: [1, 2, 3] }],
+    ['[SubGroup] Long Anime - 1071 [1080p].mkv', { title: 'Long Anime', absoluteEpisode: 1071 }],
+    // A year after " - " is part of the title, not an absolute episode
+    ['Blade Runner - 2049 (2017) 1080p BluRay.mkv', {
+        title: 'Blade Runner - 2049', year: 2017, absoluteEpisode: null, absoluteEpisodes: []
+    }],
+    // Season packs
+    ['Show.Name.S01.1080p.BluRay.x264-GRP', { title: 'Show Name', season: 1, episodes: [], seasonPack: true }],
+    ['Show Name Season 2 Complete 720p WEB-DL', { title: 'Show Name', season: 2, episodes: [], seasonPack: true }],
+    ['Show.Name.S01-S03.1080p.WEB-DL-GRP', { title: 'Show Name', season: 1, seasonPack: true }],
+    // Titles that start with a year
+    ['1917.2019.1080p.BluRay.x264-GRP.mkv', { title: '1917', year: 2019 }],
+    ['2012.2009.720p.BluRay.x264-GRP.mkv', { title: '2012', year: 2009 }],
+    ['2001.A.Space.Odyssey.1968.2160p.UHD.BluRay.x265-GRP.mkv', { title: '2001 A Space Odyssey', year: 1968, resolution: '2160p' }],
+    // Attributes only count after the title
+    ['Cam.2018.1080p.WEB-DL.mkv', { title: 'Cam', year: 2018, source: 'WEB-DL' }]
+];
+
+for (const [filename, expected] of CASES) {
+    test(`parses ${filename}`, () => {
+        const release = parseReleaseName(filename);
+        const actual = Object.fromEntries(Object.keys(expected).map(key => [key, release[key]]));
+        assert.deepStrictEqual(actual, expected);
+    });
+}
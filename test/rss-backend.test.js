@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseRssFeed } = require('../rss-parser');
+const { RssBackend } = require('../easynews-backends');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'easynews-rss.xml');
+
+async function readEntries() {
+    const items = await parseRssFeed(fs.createReadStream(FIXTURE));
+    const backend = new RssBackend('user', 'pass');
+    return { items, entries: items.map(item => backend.toEntry(item)) };
+}
+
+test('the streaming parser reads every item of the feed', async () => {
+    const { items } = await readEntries();
+    assert.strictEqual(items.length, 3);
+    assert.deepStrictEqual(items[0].enclosure, {
+        url: 'https://members.easynews.com/dl/auto/443/0a1b2c3d4e5f60718293a4b5c6d7e8f9.mkv/Movie.Title.and.Friends.2021.1080p.BluRay.x264-GRP.mkv?sid=abc&sig=def',
+        length: '8.74 GB',
+        type: 'video/x-matroska'
+    });
+    // CDATA and entity-escaped descriptions both come out as HTML
+    assert.match(items[0].fields.description, /^<table><tr><td>Size: 8\.74 GB<\/td>/);
+    assert.match(items[1].fields.description, /^<b>Poster:<\/b> Some &amp; One<br \/>/);
+});
+
+test('an item with a CDATA description becomes a full entry', async () => {
+    const { entries } = await readEntries();
+    assert.deepStrictEqual(entries[0], {
+        url: 'https://members.easynews.com/dl/auto/443/0a1b2c3d4e5f60718293a4b5c6d7e8f9.mkv/Movie.Title.and.Friends.2021.1080p.BluRay.x264-GRP.mkv?sid=abc&sig=def',
+        filename: 'Movie.Title.and.Friends.2021.1080p.BluRay.x264-GRP.mkv',
+        fileSize: '8.74 GB',
+        subject: 'Movie Title & Friends (2021) [1/1] - "Movie.Title.and.Friends.2021.1080p.BluRay.x264-GRP.mkv" yEnc',
+        poster: 'poster@example.com (Poster)',
+        newsgroup: 'alt.binaries.movies.hd',
+        postDate: '2024-06-01T12:34:56.000Z',
+        duration: '2h:01m:13s',
+        videoCodec: 'H264, 1920x1080',
+        audioCodec: 'DTS, 48000 Hz',
+        fileHash: '0a1b2c3d4e5f60718293a4b5c6d7e8f9',
+        audioLanguageCodes: ['us', 'fr'],
+        subtitleLanguageCodes: ['de'],
+        resolution: null,
+        runtime: null
+    });
+});
+
+test('an item with an escaped description and a byte length becomes a full entry', async () => {
+    const { entries } = await readEntries();
+    assert.deepStrictEqual(entries[1], {
+        url: 'https://members.easynews.com/dl/auto/443/ffeeddccbbaa99887766554433221100.mkv/Show.Name.S01E02.720p.WEB-DL.DDP5.1.H.264-GRP.mkv',
+        filename: 'Show.Name.S01E02.720p.WEB-DL.DDP5.1.H.264-GRP.mkv',
+        fileSize: '1.50 GB',
+        subject: 'Show.Name.S01E02.720p.WEB-DL.DDP5.1.H.264-GRP.mkv',
+        poster: 'Some & One',
+        newsgroup: null,
+        postDate: '2024-06-02T08:00:00.000Z',
+        duration: '52m',
+        videoCodec: null,
+        audioCodec: null,
+        fileHash: 'ffeeddccbbaa99887766554433221100',
+        audioLanguageCodes: ['es'],
+        subtitleLanguageCodes: ['en', 'nl'],
+        resolution: null,
+        runtime: null
+    });
+});
+
+test('items that are not video files are skipped', async () => {
+    const { entries } = await readEntries();
+    assert.strictEqual(entries[2], null);
+});
@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const dns = require('dns');
+const http = require('http');
+const express = require('express');
+const { proxyStream } = require('../stream-proxy');
+
+const FILE_CONTENT = Buffer.from('0123456789abcdefghijklmnopqrstuvwxyz');
+const logger = { error: () => {}, warn: () => {} };
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+function close(server) {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+}
+
+// A stand-in for the Easynews download servers. `handler` may take over a request.
+async function startUpstream(t, handler = null) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push(req);
+        if (handler && handler(req, res)) return;
+        if (req.headers.authorization !== `Basic ${Buffer.from('user:pass').toString('base64')}`) {
+            res.writeHead(401).end();
+            return;
+        }
+        const range = (req.headers.range || '').match(/^bytes=(\d+)-(\d*)$/);
+        const headers = { 'Content-Type': 'application/octet-stream' };
+        if (range) {
+            const start = parseInt(range[1]);
+            const end = range[2] ? parseInt(range[2]) : FILE_CONTENT.length - 1;
+            res.writeHead(206, { ...headers, 'Content-Range': `bytes ${start}-${end}/${FILE_CONTENT.length}`, 'Content-Length': end - start + 1 });
+            res.end(req.method === 'HEAD' ? undefined : FILE_CONTENT.subarray(start, end + 1));
+            return;
+        }
+        res.writeHead(200, { ...headers, 'Content-Length': FILE_CONTENT.length });
+        res.end(req.method === 'HEAD' ? undefined : FILE_CONTENT);
+    });
+    const port = await listen(server);
+    t.after(() => close(server));
+
+    // Easynews host names resolve to the local upstream
+    const lookup = dns.lookup;
+    t.mock.method(dns, 'lookup', (hostname, options, callback) =>
+        (/easynews\.com$/.test(hostname) ? lookup('127.0.0.1', options, callback) : lookup(hostname, options, callback)));
+
+    return { requests, baseUrl: `http://dl.easynews.com:${port}` };
+}
+
+// The addon side: proxies whatever file the test asks for
+async function startProxy(t, file) {
+    const app = express();
+    const finished = [];
+    app.all('/play', (req, res) => {
+        finished.push(proxyStream(req, res, file, { username: 'user', password: 'pass', logger }));
+    });
+    const server = http.createServer(app);
+    const port = await listen(server);
+    t.after(() => close(server));
+    return { url: `http://127.0.0.1:${port}/play`, finished };
+}
+
+function request(url, { method = 'GET', headers = {} } = {}) {
+    return new Promise((resolve, reject) => {
+        http.request(url, { method, headers }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+        }).on('error', reject).end();
+    });
+}
+
+test('a range request is forwarded and answered with 206 and Content-Range', async (t) => {
+    const { requests, baseUrl } = await startUpstream(t);
+    const { url } = await startProxy(t, { url: `${baseUrl}/dl/file.mkv`, filename: 'Movie.2021.1080p.mkv' });
+
+    const response = await request(url, { headers: { Range: 'bytes=10-19' } });
+    assert.strictEqual(requests[0].headers.range, 'bytes=10-19');
+    assert.strictEqual(response.status, 206);
+    assert.strictEqual(response.headers['content-range'], `bytes 10-19/${FILE_CONTENT.length}`);
+    assert.strictEqual(response.headers['accept-ranges'], 'bytes');
+    assert.strictEqual(response.body.toString(), 'abcdefghij');
+});
+
+test('a whole file is streamed with the content type of its extension', async (t) => {
+    const { baseUrl } = await startUpstream(t);
+    const { url } = await startProxy(t, { url: `${baseUrl}/dl/file.mp4`, filename: 'Movie.2021.1080p.mp4' });
+
+    const response = await request(url);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers['content-type'], 'video/mp4');
+    assert.strictEqual(response.headers['content-length'], String(FILE_CONTENT.length));
+    assert.deepStrictEqual(response.body, FILE_CONTENT);
+});
+
+test('HEAD answers with the headers only', async (t) => {
+    const { requests, baseUrl } = await startUpstream(t);
+    const { url } = await startProxy(t, { url: `${baseUrl}/dl/file.mkv`, filename: 'Movie.2021.1080p.mkv' });
+
+    const response = await request(url, { method: 'HEAD' });
+    assert.strictEqual(requests[0].method, 'HEAD');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers['content-type'], 'video/x-matroska');
+    assert.strictEqual(response.headers['content-length'], String(FILE_CONTENT.length));
+    assert.strictEqual(response.body.length, 0);
+});
+
+test('hosts other than Easynews are refused without a request', async (t) => {
+    const { requests } = await startUpstream(t);
+    const { url } = await startProxy(t, { url: 'http://127.0.0.1:1/dl/file.mkv', filename: 'Movie.mkv' });
+
+    const response = await request(url);
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(requests.length, 0);
+});
+
+test('rejected credentials are reported as a bad gateway', async (t) => {
+    const { baseUrl } = await startUpstream(t, (req, res) => {
+        res.writeHead(401).end();
+        return true;
+    });
+    const { url } = await startProxy(t, { url: `${baseUrl}/dl/file.mkv`, filename: 'Movie.mkv' });
+
+    assert.strictEqual((await request(url)).status, 502);
+});
+
+test('the upstream request is aborted when the client disconnects', { timeout: 5000 }, async (t) => {
+    let upstreamClosed;
+    const closed = new Promise(resolve => { upstreamClosed = resolve; });
+    const { baseUrl } = await startUpstream(t, (req, res) => {
+        // Sends the first bytes, then never finishes
+        res.writeHead(200, { 'Content-Type': 'video/x-matroska', 'Content-Length': 1000000 });
+        res.write(FILE_CONTENT);
+        res.on('close', upstreamClosed);
+        return true;
+    });
+    const { url, finished } = await startProxy(t, { url: `${baseUrl}/dl/file.mkv`, filename: 'Movie.mkv' });
+
+    await new Promise((resolve, reject) => {
+        const client = http.get(url, res => {
+            res.once('data', () => {
+                client.destroy();
+                resolve();
+            });
+        });
+        client.on('error', error => (error.code === 'ECONNRESET' ? null : reject(error)));
+    });
+    await closed;
+    await Promise.all(finished);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TMDBHandler = require('../tmdb-handler');
+const { Cache } = require('../cache');
+
+const HOUR = 60 * 60 * 1000;
+
+function createHandler(t, show) {
+    const cache = new Cache('tmdb');
+    const handler = new TMDBHandler('0123456789abcdef0123456789abcdef', { cache });
+    t.mock.method(handler.tmdb, 'tvInfo', async ({ id, append_to_response }) => {
+        const season = append_to_response.match(/season\/(\d+)/)?.[1];
+        return {
+            ...show,
+            id: Number(id),
+            ...(season ? { [`season/${season}`]: { episodes: [{ episode_number: 1, name: 'Pilot' }] } } : {})
+        };
+    });
+    return { cache, handler };
+}
+
+function getExpiry(cache, key) {
+    return cache.entries.get(key).expiresAt - Date.now();
+}
+
+test('seasons of a show in production expire within hours', async (t) => {
+    const { cache, handler } = createHandler(t, {
+        name: 'Airing Show',
+        in_production: true,
+        seasons: [{ season_number: 1 }]
+    });
+    const episodes = await handler.getEpisodes({ tmdbId: 1 });
+    assert.strictEqual(episodes.length, 1);
+    assert.ok(getExpiry(cache, 'details:series:1:season:1') <= 3 * HOUR);
+    assert.ok(getExpiry(cache, 'details:series:1') <= 3 * HOUR);
+});
+
+test('seasons of an ended show stay cached for days', async (t) => {
+    const { cache, handler } = createHandler(t, {
+        name: 'Ended Show',
+        in_production: false,
+        seasons: [{ season_number: 1 }]
+    });
+    await handler.getEpisodes({ tmdbId: 2 });
+    assert.ok(getExpiry(cache, 'details:series:2:season:1') > 24 * HOUR);
+});
+
+test('the seasons of a long show are fetched a few at a time', async (t) => {
+    const { handler } = createHandler(t, {
+        name: 'Long Show',
+        in_production: false,
+        seasons: Array.from({ length: 30 }, (item, index) => ({ season_number: index + 1 }))
+    });
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const fetchDetails = handler.fetchDetails.bind(handler);
+    t.mock.method(handler, 'fetchDetails', async (...args) => {
+        maxInFlight = Math.max(maxInFlight, ++inFlight);
+        await new Promise(resolve => setImmediate(resolve));
+        inFlight--;
+        return fetchDetails(...args);
+    });
+
+    const episodes = await handler.getEpisodes({ tmdbId: 3 });
+    assert.strictEqual(episodes.length, 30);
+    assert.ok(maxInFlight <= 3, `${maxInFlight} requests ran at once`);
+});
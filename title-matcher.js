@@ -0,0 +1,115 @@
+// Title relevance scoring. Compares the title/year/episode parsed from a release
+// name against the metadata of the requested item.
+const STRICTNESS_LEVELS = {
+    // Keep everything, only annotate the score
+    off: { minTitleScore: 0, dropYearMismatch: false },
+    // Drop clearly different titles, move weak matches and year mismatches to the bottom
+    lenient: { minTitleScore: 0.6, dropYearMismatch: false },
+    // Only near-exact titles within the year tolerance
+    strict: { minTitleScore: 0.9, dropYearMismatch: true }
+};
+
+const YEAR_TOLERANCE = 1;
+const STRONG_TITLE_SCORE = 0.9;
+
+function normalizeTitle(title) {
+    return (title || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/&/g, ' and ')
+        .replace(/['’`]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .replace(/^(?:the|a|an) /, '')
+        .trim();
+}
+
+const SEQUEL_WORDS = new Set(['one', 'two', 'three', 'four', 'five', 'ii', 'iii', 'iv', 'v', 'vi']);
+
+function getSequelMarkers(words) {
+    return words.filter(word => /^\d{1,2}$/.test(word) || SEQUEL_WORDS.has(word)).sort().join(' ');
+}
+
+// Dice coefficient over title words: 1 for identical titles, 0.5 for "Dune" vs "Dune Part Two".
+// Titles that differ only in their sequel number ("Part One" vs "Part Two") are halved again.
+function compareTitles(a, b) {
+    const normalizedA = normalizeTitle(a);
+    const normalizedB = normalizeTitle(b);
+    if (!normalizedA || !normalizedB) return 0;
+    if (normalizedA === normalizedB) return 1;
+    if (normalizedA.replace(/ /g, '') === normalizedB.replace(/ /g, '')) return 1;
+
+    const wordsA = normalizedA.split(' ');
+    const wordsB = normalizedB.split(' ');
+    const setB = new Set(wordsB);
+    const common = new Set(wordsA.filter(word => setB.has(word))).size;
+    const score = (2 * common) / (new Set(wordsA).size + setB.size);
+
+    const markersA = getSequelMarkers(wordsA);
+    const markersB = getSequelMarkers(wordsB);
+    return markersA && markersB && markersA !== markersB ? score / 2 : score;
+}
+
+function getTitleScore(parsedTitle, titles) {
+    // Releases often drop subtitles: "Frieren" for "Frieren: Beyond Journey's End"
+    const candidates = titles.flatMap(title => {
+        const mainTitle = title.split(/:| - /)[0];
+        return mainTitle !== title ? [title, mainTitle] : [title];
+    });
+    return candidates.reduce((best, title) => Math.max(best, compareTitles(parsedTitle, title)), 0);
+}
+
+// expected: { titles, year, type, season, episode, absoluteEpisode, airDate }
+function matchResult(result, expected) {
+    const release = result.release || result;
+    const reasons = [];
+
+    const titleScore = getTitleScore(release.title, expected.titles);
+
+    let yearMatches = true;
+    if (expected.type === 'movie' && expected.year && release.year) {
+        yearMatches = Math.abs(release.year - expected.year) <= YEAR_TOLERANCE;
+        if (!yearMatches) {
+            reasons.push(`year ${release.year} is not ${expected.year}`);
+        }
+    }
+
+    let episodeMatches = true;
+    if (expected.type === 'series' && expected.episode) {
+        episodeMatches =
+            (release.season === expected.season && (release.episodes || []).includes(expected.episode)) ||
+            (expected.absoluteEpisode && (release.absoluteEpisodes || []).includes(expected.absoluteEpisode)) ||
+            (expected.airDate && release.airDate === expected.airDate);
+        if (!episodeMatches) {
+            reasons.push(`episode does not match S${expected.season}E${expected.episode}`);
+        }
+    }
+
+    // Year mismatches cost a little; a wrong episode is never a usable match
+    const score = episodeMatches ? titleScore * (yearMatches ? 1 : 0.5) : 0;
+
+    const strong = episodeMatches && yearMatches && titleScore >= STRONG_TITLE_SCORE;
+
+    return { score, titleScore, yearMatches, episodeMatches, strong, reasons };
+}
+
+// Annotates each result with its match and drops or down-ranks mismatches
+function filterByRelevance(results, expected, strictness = 'lenient') {
+    const level = STRICTNESS_LEVELS[strictness] || STRICTNESS_LEVELS.lenient;
+
+    const scored = results.map(result => ({ ...result, match: matchResult(result, expected) }));
+    if (strictness === 'off') {
+        return scored;
+    }
+
+    const kept = scored.filter(({ match }) =>
+        match.episodeMatches &&
+        match.titleScore >= level.minTitleScore &&
+        (match.yearMatches || !level.dropYearMismatch)
+    );
+
+    // Stable sort: strong matches first, the original order is kept within each tier
+    return kept.sort((a, b) => Number(b.match.strong) - Number(a.match.strong));
+}
+
+module.exports = { STRICTNESS_LEVELS, normalizeTitle, compareTitles, matchResult, filterByRelevance };
@@ -1,4 +1,7 @@
 const { MovieDb } = require('moviedb-promise');
+const { MetadataError, MetadataProvider } = require('./metadata-providers');
+const { normalizeTitle, compareTitles } = require('./title-matcher');
+const { runWithConcurrency, DEFAULT_CONCURRENCY } = require('./query-planner');
 const winston = require('winston');
 
 // Logger configuration
@@ -17,102 +20,377 @@ const logger = winston.createLogger({
     ]
 });
 
-class TMDBHandler {
-    constructor(apiKey) {
-        this.tmdb = new MovieDb(apiKey);
+// TMDB data rarely changes, so lookups are cached for a long time. Shows still in
+// production get new episodes and seasons, their details expire within hours.
+const METADATA_TTL = 7 * 24 * 60 * 60 * 1000;
+const AIRING_TTL = 3 * 60 * 60 * 1000;
+const FIND_TTL = 30 * 24 * 60 * 60 * 1000;
+
+// Everything the stream handler needs, fetched with the details in one request
+const MOVIE_APPENDS = ['external_ids', 'alternative_titles', 'translations'];
+const TV_APPENDS = ['external_ids', 'alternative_titles', 'translations', 'episode_groups'];
+
+const IMAGE_BASE_URL = 'https://image.tmdb.org/t/p';
+
+// Title matches below this stay unresolved rather than get the wrong artwork
+const MIN_TITLE_CONFIDENCE = 0.85;
+
+// v3 API keys are 32 hex characters, v4 read access tokens are JWTs
+const V3_KEY_PATTERN = /^[0-9a-f]{32}$/i;
+const V4_TOKEN_PATTERN = /^eyJ[\w-]+\.[\w-]+\.[\w-]+$/;
+
+// How well a search result fits a parsed title: the best title similarity, halved
+// when both sides have a year and they are more than a year apart
+function scoreCandidate(candidate, title, year, type) {
+    const titles = type === 'movie'
+        ? [candidate.title, candidate.original_title]
+        : [candidate.name, candidate.original_name];
+    const titleScore = Math.max(0, ...titles.filter(Boolean).map(item => compareTitles(title, item)));
+
+    const dateString = type === 'movie' ? candidate.release_date : candidate.first_air_date;
+    const candidateYear = dateString ? parseInt(dateString) : null;
+    if (!year || !candidateYear) {
+        return titleScore;
+    }
+    return Math.abs(candidateYear - year) <= 1 ? titleScore : titleScore / 2;
+}
+
+class TMDBHandler extends MetadataProvider {
+    // `apiKey` is a v3 key or a v4 read access token. `cache` is optional and shared
+    // between handlers, TMDB data is the same for every user.
+    constructor(apiKey, { cache = null } = {}) {
+        super('tmdb');
+        const keyType = TMDBHandler.getKeyType(apiKey);
+        if (!keyType) {
+            throw new Error('Invalid TMDB API key: expected a v3 API key or a v4 read access token');
+        }
+
+        if (keyType === 'v4') {
+            // v4 tokens also work on the v3 endpoints, sent as a bearer token instead of api_key
+            this.tmdb = new MovieDb(undefined);
+            const makeRequest = this.tmdb.makeRequest.bind(this.tmdb);
+            this.tmdb.makeRequest = (method, endpoint, params, axiosConfig = {}) => makeRequest(method, endpoint, params, {
+                ...axiosConfig,
+                headers: { ...axiosConfig.headers, Authorization: `Bearer ${apiKey}` }
+            });
+        } else {
+            this.tmdb = new MovieDb(apiKey);
+        }
+        this.keyType = keyType;
+        this.cache = cache;
     }
 
-    async getMetadata(id, type) {
+    static getKeyType(apiKey) {
+        if (typeof apiKey !== 'string') return null;
+        if (V3_KEY_PATTERN.test(apiKey)) return 'v3';
+        if (V4_TOKEN_PATTERN.test(apiKey)) return 'v4';
+        return null;
+    }
+
+    // Resolves when TMDB accepts the key. Throws a MetadataError with code
+    // 'invalid_key' when TMDB rejects it, 'request_failed' when TMDB cannot be asked.
+    async validateKey() {
         try {
-            logger.info(`Fetching metadata for ID: ${id}, Type: ${type}`);
-            let result;
-            let tmdbId;
-
-            if (id.startsWith('tt')) {
-                // It's an IMDb ID, need to find it in TMDB first
-                logger.info(`Searching TMDB for IMDb ID: ${id}`);
-                const searchResult = await this.tmdb.find({ id: id, external_source: 'imdb_id' });
-                if (searchResult.movie_results && searchResult.movie_results.length > 0) {
-                    tmdbId = searchResult.movie_results[0].id;
-                    type = 'movie';
-                } else if (searchResult.tv_results && searchResult.tv_results.length > 0) {
-                    tmdbId = searchResult.tv_results[0].id;
-                    type = 'series';
-                }
-            } else if (id.startsWith('tmdb-')) {
-                tmdbId = id.split('-')[1];  // Remove the 'tmdb-' prefix
-            } else {
-                tmdbId = id;
+            await this.tmdb.configuration();
+        } catch (error) {
+            if (error.response?.status === 401) {
+                throw new MetadataError('invalid_key', 'TMDB rejected the API key');
             }
+            throw new MetadataError('request_failed', `Could not check the TMDB API key: ${error.message}`);
+        }
+    }
 
-            if (!tmdbId) {
-                throw new Error('Unable to determine TMDB ID');
-            }
+    // Errors and null results are not cached, so they are retried. `ttl` may be a
+    // function of the result.
+    cached(key, loader, ttl = METADATA_TTL) {
+        return this.cache ? this.cache.getOrSet(key, loader, ttl) : loader();
+    }
 
-            logger.info(`Fetching TMDB info for ID: ${tmdbId}, Type: ${type}`);
-            if (type === 'movie') {
-                result = await this.tmdb.movieInfo({ id: tmdbId });
-            } else if (type === 'series') {
-                result = await this.tmdb.tvInfo({ id: tmdbId });
-            } else {
-                throw new Error('Invalid type. Must be "movie" or "series".');
-            }
+    // Normalized metadata for the stream handler, see metadata-providers.js
+    async getMetadata(id, type, options = {}) {
+        const details = await this.getDetails(id, type, options);
+        const dateString = type === 'movie' ? details.release_date : details.first_air_date;
+        const year = dateString ? new Date(dateString).getFullYear() : null;
 
-            if (!result) {
-                throw new Error('No results found');
-            }
+        return {
+            id,
+            type,
+            title: details.title || details.name,
+            originalTitle: details.original_title || details.original_name || null,
+            year: Number.isNaN(year) ? null : year,
+            titles: this.getTitles(details),
+            searchAliases: this.getSearchAliases(details),
+            anime: this.isAnime(details),
+            tmdbId: details.id,
+            source: this.name
+        };
+    }
+
+    async getEpisodeInfo(metadata, season, episode) {
+        const details = await this.getDetails(String(metadata.tmdbId), metadata.type, { season });
+        return {
+            airDate: await this.getEpisodeAirDate(details, season, episode),
+            absoluteEpisode: metadata.anime ? await this.getAbsoluteEpisode(details, season, episode) : null
+        };
+    }
+
+    // Every regular episode of a show; specials (season 0) are left out. Each season
+    // is its own cached request, a few run at a time.
+    async getEpisodes(metadata) {
+        const tmdbId = String(metadata.tmdbId);
+        const details = await this.getDetails(tmdbId, 'series');
+        const seasons = (details.seasons || [])
+            .map(item => item.season_number)
+            .filter(season => season > 0);
+        const seasonDetails = await runWithConcurrency(seasons, DEFAULT_CONCURRENCY,
+            season => this.getDetails(tmdbId, 'series', { season }));
+
+        return seasonDetails.flatMap((seasonData, index) =>
+            (seasonData[`season/${seasons[index]}`]?.episodes || []).map(item => ({
+                season: seasons[index],
+                episode: item.episode_number,
+                title: item.name || null,
+                released: item.air_date || null,
+                overview: item.overview || null,
+                thumbnail: item.still_path ? `${IMAGE_BASE_URL}/w300${item.still_path}` : null
+            })));
+    }
+
+    // Raw TMDB details of a movie or show by IMDb id, "tmdb-<id>" or TMDB id. The
+    // result includes external_ids, alternative_titles, translations and, for shows,
+    // episode_groups and the requested season as "season/<n>".
+    // Throws a MetadataError when the id cannot be resolved to exactly one item.
+    async getDetails(id, type, { season } = {}) {
+        if (type !== 'movie' && type !== 'series') {
+            throw new MetadataError('not_found', 'Invalid type. Must be "movie" or "series".');
+        }
+
+        logger.info(`Fetching metadata for ID: ${id}, Type: ${type}`);
+        let tmdbId;
+        if (id.startsWith('tt')) {
+            // It's an IMDb ID, need to find it in TMDB first
+            tmdbId = await this.resolveImdbId(id, type);
+        } else if (id.startsWith('tmdb-')) {
+            tmdbId = id.split('-')[1];  // Remove the 'tmdb-' prefix
+        } else {
+            tmdbId = id;
+        }
+
+        const key = type === 'series' && season !== undefined ? `details:${type}:${tmdbId}:season:${season}` : `details:${type}:${tmdbId}`;
+        const result = await this.cached(key, () => this.request(() => this.fetchDetails(tmdbId, type, season)),
+            details => (details.in_production ? AIRING_TTL : METADATA_TTL));
+        if (!result) {
+            throw new MetadataError('not_found', `TMDB has no ${type} with ID ${tmdbId}`);
+        }
+
+        logger.info(`Successfully fetched metadata for ${id}`);
+        return result;
+    }
+
+    // The TMDB id of the movie or show with this IMDb id, of the requested type only
+    async resolveImdbId(imdbId, type) {
+        const found = await this.findByImdbId(imdbId) || { movies: [], series: [] };
+        const matches = type === 'movie' ? found.movies : found.series;
+        const others = type === 'movie' ? found.series : found.movies;
+
+        if (matches.length === 1) {
+            return matches[0];
+        }
+        if (matches.length > 1) {
+            throw new MetadataError('ambiguous', `IMDb ID ${imdbId} matches ${matches.length} ${type} entries on TMDB`);
+        }
+        if (others.length > 0) {
+            throw new MetadataError('type_mismatch', `IMDb ID ${imdbId} is a ${type === 'movie' ? 'series' : 'movie'}, not a ${type}`);
+        }
+        throw new MetadataError('not_found', `IMDb ID ${imdbId} was not found on TMDB`);
+    }
 
-            logger.info(`Successfully fetched metadata for ${id}`);
-            return result;
+    async findByImdbId(imdbId) {
+        return this.cached(`find:${imdbId}`, () => this.request(async () => {
+            logger.info(`Searching TMDB for IMDb ID: ${imdbId}`);
+            const searchResult = await this.tmdb.find({ id: imdbId, external_source: 'imdb_id' });
+            const movies = (searchResult.movie_results || []).map(item => item.id);
+            const series = (searchResult.tv_results || []).map(item => item.id);
+            // Unknown ids are not cached, TMDB may add them soon
+            return movies.length > 0 || series.length > 0 ? { movies, series } : null;
+        }), FIND_TTL);
+    }
+
+    // Runs a TMDB request, turning failures into MetadataErrors. A 404 is a missing
+    // item and resolves to null, so callers report it as not found.
+    async request(call) {
+        try {
+            return await call();
         } catch (error) {
-            logger.error(`Error fetching metadata: ${error.message}`);
-            return null;
+            if (error.response?.status === 404) {
+                return null;
+            }
+            logger.error(`TMDB request failed: ${error.message}`);
+            throw new MetadataError('request_failed', `TMDB request failed: ${error.message}`);
+        }
+    }
+
+    async fetchDetails(tmdbId, type, season) {
+        logger.info(`Fetching TMDB info for ID: ${tmdbId}, Type: ${type}${season !== undefined ? `, Season: ${season}` : ''}`);
+        if (type === 'movie') {
+            return await this.tmdb.movieInfo({ id: tmdbId, append_to_response: MOVIE_APPENDS.join(',') });
         }
+        const appends = season !== undefined ? [...TV_APPENDS, `season/${season}`] : TV_APPENDS;
+        return await this.tmdb.tvInfo({ id: tmdbId, append_to_response: appends.join(',') });
     }
 
     async getImdbId(tmdbId, type) {
         try {
             logger.info(`Fetching IMDb ID for TMDB ID: ${tmdbId}`);
-            let result;
-            if (type === 'movie') {
-                result = await this.tmdb.movieExternalIds(tmdbId);
-            } else if (type === 'series') {
-                result = await this.tmdb.tvExternalIds(tmdbId);
-            } else {
-                throw new Error('Invalid type. Must be "movie" or "series".');
-            }
-
+            const metadata = await this.getDetails(String(tmdbId), type);
             logger.info(`Successfully fetched IMDb ID for TMDB ID: ${tmdbId}`);
-            return result.imdb_id;
+            return metadata.external_ids?.imdb_id || metadata.imdb_id || null;
         } catch (error) {
             logger.error(`Error fetching IMDB ID: ${error.message}`);
             return null;
         }
     }
 
-    async searchByTitle(title, type) {
-        try {
-            logger.info(`Searching TMDB by title: ${title}`);
-            let results;
-            if (type === 'movie') {
-                results = await this.tmdb.searchMovie({ query: title });
-            } else if (type === 'series') {
-                results = await this.tmdb.searchTv({ query: title });
-            } else {
-                throw new Error('Invalid type. Must be "movie" or "series".');
+    // Title, original title, alternative titles and translated titles, for matching
+    // release names. Read from the appended data of getDetails.
+    getTitles(metadata) {
+        const alternativeTitles = metadata.alternative_titles?.titles || metadata.alternative_titles?.results || [];
+        const translations = metadata.translations?.translations || [];
+
+        const titles = [
+            metadata.title,
+            metadata.name,
+            metadata.original_title,
+            metadata.original_name,
+            ...alternativeTitles.map(item => item.title),
+            ...translations.map(item => item.data?.title || item.data?.name)
+        ];
+
+        return Array.from(new Set(titles.filter(Boolean)));
+    }
+
+    // Alternative titles worth searching for: the ones used in English-speaking countries
+    getSearchAliases(metadata) {
+        const alternativeTitles = metadata.alternative_titles?.titles || metadata.alternative_titles?.results || [];
+        return alternativeTitles
+            .filter(item => ['US', 'GB', 'CA', 'AU'].includes(item.iso_3166_1))
+            .map(item => item.title);
+    }
+
+    // Uses the season appended by getDetails and only asks TMDB when it is missing
+    async getEpisodeAirDate(metadata, season, episode) {
+        const seasonData = metadata[`season/${season}`];
+        if (seasonData) {
+            const item = (seasonData.episodes || []).find(entry => entry.episode_number === episode);
+            return item?.air_date || null;
+        }
+
+        return this.cached(`airdate:${metadata.id}:${season}:${episode}`, async () => {
+            try {
+                logger.info(`Fetching air date for TMDB ID: ${metadata.id} S${season}E${episode}`);
+                const result = await this.tmdb.episodeInfo({
+                    id: metadata.id,
+                    season_number: season,
+                    episode_number: episode
+                });
+                return result?.air_date || null;
+            } catch (error) {
+                logger.error(`Error fetching episode air date: ${error.message}`);
+                return null;
             }
+        });
+    }
+
+    isAnime(metadata) {
+        const isAnimation = (metadata.genres || []).some(genre => genre.id === 16);
+        const isJapanese = metadata.original_language === 'ja' ||
+            (metadata.origin_country || []).includes('JP');
+        return isAnimation && isJapanese;
+    }
+
+    // Maps a season/episode pair to an absolute episode number, preferring the show's
+    // "Absolute" episode group and falling back to counting the regular seasons.
+    async getAbsoluteEpisode(metadata, season, episode) {
+        try {
+            const { results = [] } = metadata.episode_groups || await this.tmdb.episodeGroups({ id: metadata.id });
+            const absoluteGroup = results.find(group => group.type === 2);
 
-            if (results.results && results.results.length > 0) {
-                const tmdbId = results.results[0].id;
-                logger.info(`Found TMDB ID: ${tmdbId} for title: ${title}`);
-                return await this.getImdbId(tmdbId, type);
+            if (absoluteGroup) {
+                logger.info(`Using absolute episode group ${absoluteGroup.id} for TMDB ID: ${metadata.id}`);
+                const details = await this.cached(`episodegroup:${absoluteGroup.id}`, () =>
+                    this.tmdb.episodeGroup({ id: absoluteGroup.id }));
+                const episodes = (details.groups || [])
+                    .sort((a, b) => a.order - b.order)
+                    .flatMap(group => (group.episodes || []).sort((a, b) => a.order - b.order));
+                const index = episodes.findIndex(item =>
+                    item.season_number === season && item.episode_number === episode);
+                if (index !== -1) {
+                    return index + 1;
+                }
             }
-            logger.warn(`No results found for title: ${title}`);
-            return null;
         } catch (error) {
-            logger.error(`Error searching by title: ${error.message}`);
+            logger.warn(`Error fetching episode groups: ${error.message}`);
+        }
+
+        const previousEpisodes = (metadata.seasons || [])
+            .filter(item => item.season_number > 0 && item.season_number < season)
+            .reduce((total, item) => total + (item.episode_count || 0), 0);
+        return previousEpisodes + episode;
+    }
+
+    // The TMDB item a title parsed from a file name refers to, with its artwork:
+    //   { id, imdbId, tmdbId, title, year, poster, background, description, genres, confidence }
+    // `id` is the IMDb id, or "tmdb-<id>" when TMDB has none. Resolves to null when no
+    // result reaches MIN_TITLE_CONFIDENCE. Both answers are cached, failures are not.
+    async searchByTitle(title, type, year = null) {
+        if (type !== 'movie' && type !== 'series') {
             return null;
         }
+
+        const key = `title:${type}:${normalizeTitle(title)}:${year || ''}`;
+        const match = await this.cached(key, async () => {
+            try {
+                logger.info(`Searching TMDB by title: ${title}${year ? ` (${year})` : ''}`);
+                // Searched without the year: a show's episodes rarely carry its first air year
+                const { results = [] } = type === 'movie'
+                    ? await this.tmdb.searchMovie({ query: title })
+                    : await this.tmdb.searchTv({ query: title });
+
+                const best = results
+                    .map((candidate, index) => ({ candidate, index, confidence: scoreCandidate(candidate, title, year, type) }))
+                    .sort((a, b) => b.confidence - a.confidence || a.index - b.index)[0];
+                if (!best || best.confidence < MIN_TITLE_CONFIDENCE) {
+                    logger.info(`No confident TMDB match for ${title}${best ? ` (best ${best.confidence.toFixed(2)})` : ''}`);
+                    return false;
+                }
+
+                const details = await this.getDetails(String(best.candidate.id), type);
+                logger.info(`Matched ${title} to TMDB ID ${details.id} with confidence ${best.confidence.toFixed(2)}`);
+                return this.toTitleMatch(details, type, best.confidence);
+            } catch (error) {
+                logger.error(`Error searching by title: ${error.message}`);
+                return null;
+            }
+        });
+
+        return match || null;
+    }
+
+    toTitleMatch(details, type, confidence) {
+        const imdbId = details.external_ids?.imdb_id || details.imdb_id || null;
+        const dateString = type === 'movie' ? details.release_date : details.first_air_date;
+        return {
+            id: imdbId || `tmdb-${details.id}`,
+            imdbId,
+            tmdbId: details.id,
+            title: details.title || details.name,
+            year: dateString ? parseInt(dateString) : null,
+            poster: details.poster_path ? `${IMAGE_BASE_URL}/w500${details.poster_path}` : null,
+            background: details.backdrop_path ? `${IMAGE_BASE_URL}/w1280${details.backdrop_path}` : null,
+            description: details.overview || null,
+            genres: (details.genres || []).map(genre => genre.name),
+            confidence: Math.round(confidence * 100) / 100
+        };
     }
 }
 